@@ -0,0 +1,85 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+/**
+ * Battery - EV state of charge with drain and regenerative braking
+ *
+ * Charge is 0-1. Throttle drains it (harder at speed and while boosting),
+ * braking and lifting off recover some of it (regen scales with speed, as
+ * there is more energy to recover). An empty battery gives no drive until
+ * reset.
+ *
+ * Events:
+ * - 'low'    charge dropped below lowLevel
+ * - 'empty'  charge ran out
+ */
+
+export const DEFAULT_BATTERY = {
+  drainRate: 0.006,          // Charge per second at full throttle and top speed
+  idleDrain: 0.0005,         // Auxiliaries, always on
+  regenRate: 0.02,           // Charge per second braking hard at top speed
+  coastRegenRate: 0.002,     // Lift-off regen at top speed
+  boostDrainMultiplier: 1.8,
+  lowLevel: 0.15
+};
+
+export class Battery extends EventEmitter {
+  /**
+   * @param {Object} config - Overrides for DEFAULT_BATTERY
+   */
+  constructor(config = {}) {
+    super();
+    this.config = { ...DEFAULT_BATTERY, ...config };
+    this.reset();
+  }
+
+  /**
+   * Full charge (new run)
+   */
+  reset() {
+    this.level = 1;
+    this.regenerating = false;
+    this.lowWarned = false;
+    this.emptied = false;
+  }
+
+  isEmpty() {
+    return this.level <= 0;
+  }
+
+  /**
+   * Drain or recover charge
+   * @param {number} deltaTime
+   * @param {Object} state - { throttle, brake (0-1), speedRatio (speed / top speed), boosting }
+   */
+  update(deltaTime, { throttle, brake, speedRatio, boosting }) {
+    // Once flat, stays flat (no coasting back to life)
+    if (this.emptied) return;
+
+    const { drainRate, idleDrain, regenRate, coastRegenRate, boostDrainMultiplier, lowLevel } = this.config;
+    const speedLoad = 0.3 + 0.7 * speedRatio;
+
+    let rate = -idleDrain;
+    if (throttle > 0) {
+      rate -= drainRate * throttle * speedLoad * (boosting ? boostDrainMultiplier : 1);
+    } else if (brake > 0) {
+      rate += regenRate * brake * speedRatio;
+    } else {
+      rate += coastRegenRate * speedRatio;
+    }
+
+    this.regenerating = rate > 0;
+    this.level = Math.min(Math.max(this.level + rate * deltaTime, 0), 1);
+
+    if (this.level < lowLevel && !this.lowWarned) {
+      this.lowWarned = true;
+      this.emit('low');
+    } else if (this.level >= lowLevel) {
+      this.lowWarned = false;
+    }
+
+    if (this.level <= 0 && !this.emptied) {
+      this.emptied = true;
+      this.emit('empty');
+    }
+  }
+}
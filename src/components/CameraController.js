@@ -1,66 +1,407 @@
 import * as THREE from 'three';
 
 /**
- * CameraController - Third-person chase camera
+ * CameraController - Player camera rigs with blended switching
+ *
+ * Rigs (CAMERA_RIGS, cycled with next()):
+ * - chase / far:  third-person, behind and above the car
+ * - hood / bumper: first-person, fixed to the body
+ * - top:          high overhead view
+ * - cinematic:    slow orbit around the car
+ *
+ * Offsets are in the target's local space (-Z forward). Chase rigs follow
+ * the road direction (target.forward) so drifts swing the car in frame;
+ * body rigs follow target.rotation. Switching blends from the current view
+ * to the new rig over blendTime. Every rig gets the speed-based FOV,
+ * widening from its own base FOV.
+ *
+ * Motion uses critically damped springs driven by deltaTime, so the lag
+ * feels the same at 30 and 120 Hz. Smoothing times are in seconds (0 = rigid).
+ *
+ * With a road provider (getRoadFrameAt(distance), as for Car) and a target
+ * with a distance, road rigs aim at the road ahead and turn into bends
+ * early (lookAhead). With a CollisionSystem, rigs that avoidFacades are
+ * pulled in front of any building between them and the car.
  *
- * Smoothly follows the player car with configurable offset and lag.
  * Mobile-optimized with no manual orbit controls.
  */
+
+export const CAMERA_RIGS = {
+  chase: {
+    label: 'CHASE',
+    offset: [0, 0.5, 1.5],
+    lookAt: [0, 0.1, -3],
+    follow: 'road',
+    lookAhead: 0.3,           // How far the follow direction leans into bends (0-1)
+    avoidFacades: true,
+    positionTime: 0.08,
+    rotationTime: 0.25,
+    fov: 45
+  },
+  far: {
+    label: 'FAR CHASE',
+    offset: [0, 0.9, 2.8],
+    lookAt: [0, 0.1, -3],
+    follow: 'road',
+    lookAhead: 0.4,
+    avoidFacades: true,
+    positionTime: 0.15,
+    rotationTime: 0.3,
+    fov: 45
+  },
+  hood: {
+    label: 'HOOD',
+    offset: [0, 0.26, -0.05],
+    lookAt: [0, 0.2, -3],
+    follow: 'body',
+    positionTime: 0,
+    rotationTime: 0,
+    fov: 60
+  },
+  bumper: {
+    label: 'BUMPER',
+    offset: [0, 0.08, -0.42],
+    lookAt: [0, 0.08, -3],
+    follow: 'body',
+    positionTime: 0,
+    rotationTime: 0,
+    fov: 65
+  },
+  top: {
+    label: 'TOP-DOWN',
+    offset: [0, 6, 1.2],
+    lookAt: [0, 0, -1],
+    follow: 'road',
+    lookAhead: 0.5,
+    positionTime: 0.2,
+    rotationTime: 0.5,
+    fov: 40
+  },
+  cinematic: {
+    label: 'CINEMATIC',
+    offset: [0, 0.45, 2.2],   // Orbit height and radius
+    lookAt: [0, 0.15, 0],
+    follow: 'orbit',
+    orbitSpeed: 0.25,         // Radians per second
+    avoidFacades: true,
+    positionTime: 0.3,
+    rotationTime: 0.3,
+    fov: 35
+  }
+};
+
+// Extra FOV at top speed, on top of the rig's base FOV
+const SPEED_FOV_BOOST = 15;
+const FOV_TIME = 0.5;
+
+// Facade avoidance: gap kept to walls, and how slowly the camera moves back out
+const FACADE_CLEARANCE = 0.15;
+const OCCLUSION_RELEASE_TIME = 0.4;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const ORIGIN = new THREE.Vector3();
+
+// Scratch
+const _change = new THREE.Vector3();
+const _temp = new THREE.Vector3();
+
+/**
+ * Critically damped spring step (exact for any deltaTime)
+ * @param {THREE.Vector3} current - Updated in place
+ * @param {THREE.Vector3} target
+ * @param {THREE.Vector3} velocity - Spring velocity, updated in place
+ * @param {number} smoothTime - Roughly the time to catch up (0 = snap)
+ * @param {number} deltaTime
+ */
+function dampVector(current, target, velocity, smoothTime, deltaTime) {
+  if (smoothTime <= 0) {
+    velocity.set(0, 0, 0);
+    return current.copy(target);
+  }
+
+  const omega = 2 / smoothTime;
+  const decay = Math.exp(-omega * deltaTime);
+
+  _change.subVectors(current, target);
+  _temp.copy(_change).multiplyScalar(omega).add(velocity).multiplyScalar(deltaTime);
+  velocity.addScaledVector(_temp, -omega).multiplyScalar(decay);
+  return current.copy(target).add(_change.add(_temp).multiplyScalar(decay));
+}
+
+/**
+ * Scalar version of dampVector
+ * @param {Object} spring - { velocity }, updated in place
+ * @returns {number} New value
+ */
+function dampScalar(current, target, spring, smoothTime, deltaTime) {
+  if (smoothTime <= 0) {
+    spring.velocity = 0;
+    return target;
+  }
+
+  const omega = 2 / smoothTime;
+  const decay = Math.exp(-omega * deltaTime);
+  const change = current - target;
+  const temp = (spring.velocity + omega * change) * deltaTime;
+  spring.velocity = (spring.velocity - omega * temp) * decay;
+  return target + (change + temp) * decay;
+}
+
 export class CameraController {
-  constructor(camera, target) {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {Object} target - Usually the car ({ position, rotation, forward, distance, speed, maxSpeed })
+   * @param {Object} options
+   * @param {string} options.rig - Starting rig (CAMERA_RIGS key)
+   * @param {number} options.blendTime - Seconds to blend between rigs
+   * @param {Object} options.road - Road provider with getRoadFrameAt(distance)
+   * @param {CollisionSystem} options.collisions - Static colliders to keep the camera out of
+   */
+  constructor(camera, target, options = {}) {
     this.camera = camera;
-    this.target = target; // Usually the car
+    this.target = target;
+    this.road = options.road ?? null;
+    this.collisions = options.collisions ?? null;
+
+    this.rigName = null;
+    this.rig = null;
+    this.blendTime = options.blendTime ?? 0.6;
 
     // Camera offset relative to target (local space)
-    this.offset = new THREE.Vector3(0, 5, 12); // Behind and above
+    this.offset = new THREE.Vector3();
 
     // Look-at offset (where to look relative to target)
-    this.lookAtOffset = new THREE.Vector3(0, 1, -10); // Ahead of car
+    this.lookAtOffset = new THREE.Vector3();
 
-    // Smoothing factors (0-1, lower = smoother/slower)
-    this.positionLag = 0.08;
-    this.rotationLag = 0.1;
+    // Spring smoothing times (seconds, 0 = rigid)
+    this.positionTime = 0.1;
+    this.rotationTime = 0.25;
 
-    // Current camera state
+    // Current camera state (spring positions and velocities)
     this.currentPosition = new THREE.Vector3();
     this.currentLookAt = new THREE.Vector3();
+    this.followDirection = new THREE.Vector3(0, 0, -1);
+    this.positionVelocity = new THREE.Vector3();
+    this.lookAtVelocity = new THREE.Vector3();
+    this.directionVelocity = new THREE.Vector3();
+    this.orbitAngle = 0;
+
+    // Road at and ahead of the target (sampled once per update)
+    this.roadFrames = null;
+
+    // Facade avoidance: clear fraction of the car -> camera line
+    this.viewPosition = new THREE.Vector3();
+    this.occlusion = 1;
+    this.occlusionSpring = { velocity: 0 };
+
+    // Blend from the previous view (relative to the target, so it moves with the car)
+    this.blend = 1;
+    this.blendFromPosition = new THREE.Vector3();
+    this.blendFromLookAt = new THREE.Vector3();
 
     // Speed-based FOV adjustment
     this.baseFOV = 60;
     this.maxFOV = 75;
-    this.fovSpeed = 0; // Updated based on target speed
+    this.fovSpring = { velocity: 0 };
 
-    // Shake effect
+    // Shake effect (decay is per 60 Hz frame, applied by deltaTime)
     this.shakeIntensity = 0;
     this.shakeDecay = 0.95;
     this.shakeOffset = new THREE.Vector3();
 
-    // Initialize position
+    this.setRig(options.rig ?? 'chase', { immediate: true });
+  }
+
+  /**
+   * Follow a different target (e.g. after the car is rebuilt)
+   */
+  setTarget(target) {
+    this.target = target;
     this.initializePosition();
   }
 
   /**
-   * Set camera to initial position (no smoothing)
+   * Cut straight to the current rig (new run, respawn)
    */
-  initializePosition() {
+  snap() {
     if (!this.target?.position) return;
 
+    this.initializePosition();
+    this.blend = 1;
+    this.shakeIntensity = 0;
+    this.shakeOffset.set(0, 0, 0);
+    this.applyView();
+  }
+
+  /**
+   * Switch rig, blending from the current view
+   * @param {string} name - CAMERA_RIGS key
+   * @param {Object} options
+   * @param {boolean} options.immediate - Cut instead of blending
+   * @returns {boolean} False if the rig is unknown
+   */
+  setRig(name, { immediate = false } = {}) {
+    const rig = CAMERA_RIGS[name];
+    if (!rig) {
+      console.warn(`CameraController: Unknown rig "${name}"`);
+      return false;
+    }
+
+    // Blend from wherever the camera is now (including mid-blend)
+    const targetPos = this.getTargetPosition();
+    this.blendFromLookAt.copy(this.getViewLookAt()).sub(targetPos);
+    this.blendFromPosition.copy(this.camera.position).sub(this.shakeOffset).sub(targetPos);
+
+    this.rigName = name;
+    this.rig = rig;
+    this.offset.fromArray(rig.offset);
+    this.lookAtOffset.fromArray(rig.lookAt);
+    this.setSmoothing(rig.positionTime, rig.rotationTime);
+    this.baseFOV = rig.fov;
+    this.maxFOV = rig.fov + SPEED_FOV_BOOST;
+
+    // Start the new rig settled so only the blend is visible
+    this.initializePosition();
+
+    if (immediate) {
+      this.blend = 1;
+      this.camera.fov = this.baseFOV;
+      this.camera.updateProjectionMatrix();
+    } else {
+      this.blend = 0;
+      this.applyView();
+    }
+    return true;
+  }
+
+  /**
+   * Cycle to the next rig
+   * @param {number} direction - 1 forward, -1 back
+   * @returns {string} New rig name
+   */
+  next(direction = 1) {
+    const names = Object.keys(CAMERA_RIGS);
+    const index = names.indexOf(this.rigName);
+    this.setRig(names[(index + direction + names.length) % names.length]);
+    return this.rigName;
+  }
+
+  getRig() {
+    return this.rigName;
+  }
+
+  getLabel() {
+    return this.rig.label;
+  }
+
+  /**
+   * Where the camera is looking now (blended)
+   */
+  getViewLookAt() {
+    if (this.blend >= 1) return this.currentLookAt;
+    return this.blendFromLookAt.clone()
+      .add(this.getTargetPosition())
+      .lerp(this.currentLookAt, this.getBlendFactor());
+  }
+
+  getTargetPosition() {
+    return this.target?.position ?? ORIGIN;
+  }
+
+  getBlendFactor() {
+    return THREE.MathUtils.smoothstep(this.blend, 0, 1);
+  }
+
+  /**
+   * Road frames at the target and at the look-at distance ahead
+   * @returns {{ here, ahead }|null} Null without a road provider or off the road
+   */
+  sampleRoad() {
+    if (!this.road || !this.rig.lookAhead || typeof this.target.distance !== 'number') return null;
+
+    const here = this.road.getRoadFrameAt(this.target.distance);
+    const ahead = this.road.getRoadFrameAt(this.target.distance - this.lookAtOffset.z);
+    return here && ahead ? { here, ahead } : null;
+  }
+
+  /**
+   * Target heading for the current rig
+   */
+  getFollowYaw() {
+    if (this.rig.follow === 'body') {
+      return this.target.rotation?.y || 0;
+    }
+    return Math.atan2(-this.followDirection.x, -this.followDirection.z);
+  }
+
+  /**
+   * Desired camera position and look-at for the current rig
+   */
+  computeDesired(outPosition, outLookAt) {
     const targetPos = this.target.position;
-    const targetRot = this.target.rotation?.y || 0;
 
-    // Calculate desired position
-    const offset = this.offset.clone();
-    offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), targetRot);
-    this.currentPosition.copy(targetPos).add(offset);
+    if (this.rig.follow === 'orbit') {
+      outPosition.set(
+        Math.sin(this.orbitAngle) * this.offset.z,
+        this.offset.y,
+        Math.cos(this.orbitAngle) * this.offset.z
+      ).add(targetPos);
+      outLookAt.copy(this.lookAtOffset).add(targetPos);
+      return;
+    }
 
-    // Calculate look-at point
-    const lookAtOffset = this.lookAtOffset.clone();
-    lookAtOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), targetRot);
-    this.currentLookAt.copy(targetPos).add(lookAtOffset);
+    const yaw = this.getFollowYaw();
+    outPosition.copy(this.offset).applyAxisAngle(UP, yaw).add(targetPos);
+    outLookAt.copy(this.lookAtOffset).applyAxisAngle(UP, yaw).add(targetPos);
 
-    // Apply immediately
-    this.camera.position.copy(this.currentPosition);
-    this.camera.lookAt(this.currentLookAt);
+    // Look down the road rather than straight ahead, keeping the car's lane
+    if (this.roadFrames) {
+      const { here, ahead } = this.roadFrames;
+      const lateral = (targetPos.x - here.position.x) * -here.tangent.z +
+        (targetPos.z - here.position.z) * here.tangent.x;
+      outLookAt.set(
+        ahead.position.x - ahead.tangent.z * lateral,
+        targetPos.y + this.lookAtOffset.y,
+        ahead.position.z + ahead.tangent.x * lateral
+      );
+    }
+  }
+
+  /**
+   * Road direction at the target (horizontal), leaning towards the road
+   * ahead by the rig's lookAhead so the camera turns into bends early
+   */
+  getRoadDirection(out) {
+    if (this.roadFrames) {
+      const { here, ahead } = this.roadFrames;
+      out.copy(here.tangent).lerp(ahead.tangent, this.rig.lookAhead);
+    } else if (this.target.forward) {
+      out.copy(this.target.forward);
+    } else {
+      out.set(0, 0, -1).applyAxisAngle(UP, this.target.rotation?.y || 0);
+    }
+    out.y = 0;
+    return out.lengthSq() > 0 ? out.normalize() : out.set(0, 0, -1);
+  }
+
+  /**
+   * Set camera to the rig's position (no smoothing)
+   */
+  initializePosition() {
+    if (!this.target?.position) return;
+
+    this.roadFrames = this.sampleRoad();
+    this.getRoadDirection(this.followDirection);
+    this.orbitAngle = this.getFollowYaw();
+    this.computeDesired(this.currentPosition, this.currentLookAt);
+
+    this.positionVelocity.set(0, 0, 0);
+    this.lookAtVelocity.set(0, 0, 0);
+    this.directionVelocity.set(0, 0, 0);
+
+    // A freshly placed camera goes straight in front of any wall
+    this.occlusion = 1;
+    this.updateOcclusion(0);
   }
 
   /**
@@ -68,53 +409,109 @@ export class CameraController {
    * @param {number} deltaTime - Time since last frame
    */
   update(deltaTime) {
-    if (!this.target?.position) return;
+    if (!this.target?.position || deltaTime <= 0) return;
 
-    const targetPos = this.target.position;
-    const targetRot = this.target.rotation?.y || 0;
+    this.roadFrames = this.sampleRoad();
+
+    // Smooth the road direction to reduce jitter at segment transitions
+    const direction = this.getRoadDirection(new THREE.Vector3());
+    dampVector(this.followDirection, direction, this.directionVelocity, this.rotationTime, deltaTime).normalize();
+    this.orbitAngle += (this.rig.orbitSpeed ?? 0) * deltaTime;
 
-    // Calculate desired position based on target orientation
-    const desiredOffset = this.offset.clone();
-    desiredOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), targetRot);
-    const desiredPosition = targetPos.clone().add(desiredOffset);
+    const desiredPosition = new THREE.Vector3();
+    const desiredLookAt = new THREE.Vector3();
+    this.computeDesired(desiredPosition, desiredLookAt);
 
-    // Calculate desired look-at point
-    const desiredLookAtOffset = this.lookAtOffset.clone();
-    desiredLookAtOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), targetRot);
-    const desiredLookAt = targetPos.clone().add(desiredLookAtOffset);
+    dampVector(this.currentPosition, desiredPosition, this.positionVelocity, this.positionTime, deltaTime);
+    dampVector(this.currentLookAt, desiredLookAt, this.lookAtVelocity, this.rotationTime, deltaTime);
 
-    // Smooth interpolation
-    this.currentPosition.lerp(desiredPosition, this.positionLag);
-    this.currentLookAt.lerp(desiredLookAt, this.rotationLag);
+    this.updateOcclusion(deltaTime);
+
+    if (this.blend < 1) {
+      this.blend = Math.min(this.blend + deltaTime / this.blendTime, 1);
+    }
 
     // Apply shake if active
-    if (this.shakeIntensity > 0.01) {
+    this.updateShake(deltaTime);
+
+    this.applyView();
+
+    // Speed-based FOV (if target has speed property)
+    if (typeof this.target.speed === 'number' && this.target.maxSpeed) {
+      const speedRatio = Math.min(this.target.speed / this.target.maxSpeed, 1);
+      const targetFOV = this.baseFOV + (this.maxFOV - this.baseFOV) * speedRatio;
+      this.camera.fov = dampScalar(this.camera.fov, targetFOV, this.fovSpring, FOV_TIME, deltaTime);
+      this.camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * Pull the camera in front of buildings between it and the car.
+   * Moves in at once (never clips), eases back out when the view clears.
+   */
+  updateOcclusion(deltaTime) {
+    this.viewPosition.copy(this.currentPosition);
+    if (!this.collisions || !this.rig.avoidFacades) {
+      this.occlusion = 1;
+      return;
+    }
+
+    const targetPos = this.target.position;
+    const clear = this.collisions.raycastStatic(targetPos, this.currentPosition, FACADE_CLEARANCE);
+
+    if (clear <= this.occlusion || deltaTime <= 0) {
+      this.occlusion = clear;
+      this.occlusionSpring.velocity = 0;
+    } else {
+      this.occlusion = Math.min(
+        dampScalar(this.occlusion, clear, this.occlusionSpring, OCCLUSION_RELEASE_TIME, deltaTime),
+        clear
+      );
+    }
+
+    // Shorten the boom on the ground plane, keep the height
+    this.viewPosition.x = targetPos.x + (this.currentPosition.x - targetPos.x) * this.occlusion;
+    this.viewPosition.z = targetPos.z + (this.currentPosition.z - targetPos.z) * this.occlusion;
+  }
+
+  /**
+   * Update camera transform (blended with the previous rig while switching)
+   */
+  applyView() {
+    const factor = this.getBlendFactor();
+    this.camera.position
+      .copy(this.blendFromPosition)
+      .add(this.getTargetPosition())
+      .lerp(this.viewPosition, factor)
+      .add(this.shakeOffset);
+    this.camera.up.set(0, 1, 0);
+    this.camera.lookAt(this.getViewLookAt());
+  }
+
+  /**
+   * Advance the shake (update() calls this; a camera driven elsewhere can
+   * call it and add the offset itself)
+   * @param {number} deltaTime - Time since last frame
+   * @returns {THREE.Vector3} Offset to add to the camera position
+   */
+  updateShake(deltaTime) {
+    if (this.shakeIntensity > 0.001) {
       this.shakeOffset.set(
         (Math.random() - 0.5) * this.shakeIntensity,
         (Math.random() - 0.5) * this.shakeIntensity * 0.5,
         (Math.random() - 0.5) * this.shakeIntensity
       );
-      this.shakeIntensity *= this.shakeDecay;
+      this.shakeIntensity *= Math.pow(this.shakeDecay, deltaTime * 60);
     } else {
+      this.shakeIntensity = 0;
       this.shakeOffset.set(0, 0, 0);
     }
-
-    // Update camera transform
-    this.camera.position.copy(this.currentPosition).add(this.shakeOffset);
-    this.camera.lookAt(this.currentLookAt);
-
-    // Speed-based FOV (if target has speed property)
-    if (typeof this.target.speed === 'number' && this.target.maxSpeed) {
-      const speedRatio = this.target.speed / this.target.maxSpeed;
-      const targetFOV = this.baseFOV + (this.maxFOV - this.baseFOV) * speedRatio;
-      this.camera.fov = THREE.MathUtils.lerp(this.camera.fov, targetFOV, 0.05);
-      this.camera.updateProjectionMatrix();
-    }
+    return this.shakeOffset;
   }
 
   /**
    * Trigger camera shake effect
-   * @param {number} intensity - Shake intensity (0-1)
+   * @param {number} intensity - Shake offset in world units
    */
   shake(intensity = 0.5) {
     this.shakeIntensity = Math.max(this.shakeIntensity, intensity);
@@ -137,38 +534,31 @@ export class CameraController {
   }
 
   /**
-   * Set smoothing parameters
-   * @param {number} position - Position smoothing (0-1)
-   * @param {number} rotation - Rotation smoothing (0-1)
+   * Set spring smoothing times
+   * @param {number} position - Position smoothing (seconds, 0 = rigid)
+   * @param {number} rotation - Direction and look-at smoothing (seconds, 0 = rigid)
    */
   setSmoothing(position, rotation) {
-    this.positionLag = THREE.MathUtils.clamp(position, 0.01, 1);
-    this.rotationLag = THREE.MathUtils.clamp(rotation, 0.01, 1);
+    this.positionTime = Math.max(position, 0);
+    this.rotationTime = Math.max(rotation, 0);
   }
 
   /**
-   * Set base FOV
+   * Set base FOV (the speed boost widens from here)
    * @param {number} fov - Field of view in degrees
    */
   setBaseFOV(fov) {
     this.baseFOV = fov;
+    this.maxFOV = fov + SPEED_FOV_BOOST;
     this.camera.fov = fov;
     this.camera.updateProjectionMatrix();
   }
 
   /**
-   * Cinematic mode: wider view for cutscenes
+   * Cinematic mode: slow orbit for cutscenes (off returns to the chase rig)
    */
   setCinematicMode(enabled) {
-    if (enabled) {
-      this.offset.set(3, 3, 8);
-      this.lookAtOffset.set(0, 1, -5);
-      this.setSmoothing(0.03, 0.05);
-    } else {
-      this.offset.set(0, 5, 12);
-      this.lookAtOffset.set(0, 1, -10);
-      this.setSmoothing(0.08, 0.1);
-    }
+    this.setRig(enabled ? 'cinematic' : 'chase');
   }
 
   /**
@@ -182,6 +572,6 @@ export class CameraController {
    * Get current look-at target
    */
   getLookAt() {
-    return this.currentLookAt.clone();
+    return this.getViewLookAt().clone();
   }
 }
@@ -1,44 +1,148 @@
 import * as THREE from 'three';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { Gearbox } from './Gearbox.js';
+import { Battery } from './Battery.js';
+import { POWERTRAINS } from './Powertrain.js';
+import { MaterialFactory } from '../utils/MaterialFactory.js';
+
+/**
+ * Piecewise-linear lookup in [[x, y], ...] (sorted by x), 1 without a curve
+ */
+function sampleCurve(points, x) {
+  if (!points || points.length === 0) return 1;
+  if (x <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + (y1 - y0) * ((x - x0) / (x1 - x0));
+    }
+  }
+  return points[points.length - 1][1];
+}
 
 /**
  * Car - Player vehicle that follows the road center
  *
- * Phase 1: Simple forward movement along road center
- * Phase 2: Full spline-based curve following (future)
+ * The car travels a distance along the road and asks its road provider
+ * for the centreline frame at that distance. Everything else is measured
+ * relative to the road (arcade handling, road corridor = maxLateralOffset):
+ * - headingOffset: where the body points
+ * - travelAngle: where the car is actually going
+ * - slip angle: the difference between the two (drift angle)
+ *
+ * Steering sets a yaw rate; tyre grip pulls the direction of travel towards
+ * the heading. The handbrake cuts rear grip so the body swings out into a
+ * drift, and counter-steering (steering against the slide) restores grip.
+ *
+ * Drive goes through a Gearbox (RPM, shifting, rev limiter), and a boost
+ * (N Grin Shift) can temporarily raise top speed and acceleration.
+ * Powertrain profiles (Powertrain.js) swap the gear table; the EV profile
+ * adds a Battery that drains with throttle, recovers under braking, and
+ * cuts the drive when empty.
+ *
+ * Per-vehicle handling curves scale steering and grip by speed
+ * (speed / maxSpeed), given as [[speedRatio, multiplier], ...].
+ *
+ * A road provider implements getRoadFrameAt(distance) and returns
+ * { position, tangent } (RoadManager, or AssetViewer for socket roads).
+ *
+ * Events:
+ * - 'driftStart'
+ * - 'driftEnd' { duration, maxAngle }
+ * - 'batteryLow' / 'batteryEmpty'   (EV only)
  */
-export class Car {
-  constructor(scene, roadManager) {
+export class Car extends EventEmitter {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} road - Road provider with getRoadFrameAt(distance)
+   * @param {Object} options - Movement parameter overrides (maxSpeed, acceleration, ...)
+   *   and powertrain ('ice' or 'ev')
+   */
+  constructor(scene, road, options = {}) {
+    super();
+
     this.scene = scene;
-    this.roadManager = roadManager;
+    this.road = road;
 
     // Vehicle state
     this.position = new THREE.Vector3(0, 0, 0);
     this.rotation = new THREE.Euler(0, 0, 0);
     this.velocity = new THREE.Vector3(0, 0, 0);
+    this.distance = 0; // Distance travelled along the road centreline
 
     // Movement parameters
     this.speed = 0;
-    this.maxSpeed = 30; // units per second
-    this.acceleration = 15;
-    this.deceleration = 20;
-    this.brakeForce = 40;
-    this.steeringSpeed = 3;
-    this.maxLateralOffset = 4; // Max distance from road center
-
-    // Current lateral offset from road center (for lane changes)
+    this.maxSpeed = options.maxSpeed ?? 30; // units per second
+    this.acceleration = options.acceleration ?? 15;
+    this.deceleration = options.deceleration ?? 20;
+    this.brakeForce = options.brakeForce ?? 40;
+    this.maxLateralOffset = options.maxLateralOffset ?? 4; // Max distance from road center
+    this.impactSpeedLoss = options.impactSpeedLoss ?? 0.6; // Speed fraction lost in a head-on hit
+
+    // Handling parameters (angles in radians, rates per second)
+    this.maxYawRate = options.maxYawRate ?? 1.2;             // Turn rate at full steer
+    this.yawResponse = options.yawResponse ?? 8;             // How quickly yaw rate follows steering
+    this.grip = options.grip ?? 8;                           // Travel direction follows heading
+    this.driftGrip = options.driftGrip ?? 1.2;               // Rear grip with the handbrake pulled
+    this.handbrakeYawBoost = options.handbrakeYawBoost ?? 1.8; // Extra rotation while the rear is loose
+    this.handbrakeForce = options.handbrakeForce ?? 2.5;
+    this.driftDrag = options.driftDrag ?? 0.8;               // Speed scrubbed by sliding sideways
+    this.alignRate = options.alignRate ?? 4;                 // Straighten up along the road with no steer
+    this.maxHeadingOffset = options.maxHeadingOffset ?? 0.9; // Body angle to the road while drifting
+    this.maxTravelAngle = options.maxTravelAngle ?? 0.25;    // Direction of travel (and body, with grip) to the road
+    this.driftThreshold = options.driftThreshold ?? 0.15;    // Slip angle that counts as drifting
+    this.minDriftSpeed = options.minDriftSpeed ?? 2;
+    this.steerCurve = options.steerCurve ?? null;            // Steering authority by speed ratio
+    this.gripCurve = options.gripCurve ?? null;              // Grip by speed ratio
+    this.maxWheelAngle = options.maxWheelAngle ?? 0.5;       // Front wheel visual steer
+
+    // Engine and boost
+    this.gearboxConfig = options.gearbox;
+    this.gearbox = null;
+    this.battery = null;
+    this.eShift = true;
+    this.throttle = 0;
+    this.boost = { speed: 1, acceleration: 1 };
+    this.setPowertrain(options.powertrain ?? 'ice');
+
+    // Current lateral offset from road center
     this.lateralOffset = 0;
-    this.targetLateralOffset = 0;
 
-    // Input state
+    // Handling state (relative to the road direction, positive = right)
+    this.headingOffset = 0;
+    this.travelAngle = 0;
+    this.yawRate = 0;
+    this.slipAngle = 0;
+
+    // Drift state (for scoring and effects)
+    this.isDrifting = false;
+    this.driftDuration = 0;  // Seconds into the current drift
+    this.driftMaxAngle = 0;  // Largest slip angle in the current drift
+
+    // Road frame at the car (forward tangent and right-hand direction)
+    this.forward = new THREE.Vector3(0, 0, -1);
+    this.right = new THREE.Vector3(1, 0, 0);
+
+    // Input state (booleans, or analog values from InputManager)
     this.input = {
       accelerate: false,
       brake: false,
       left: false,
-      right: false
+      right: false,
+      steer: 0, // Analog steering, -1 (left) to 1 (right)
+      handbrake: false
     };
 
-    // Visual representation
+    // Visual representation (wheels are pivots found in the model)
     this.mesh = null;
+    this.wheels = [];
+    this.frontWheels = [];
+    this.wheelRadius = 0.35;
+    this.wheelSteer = 0;
+    this.halfWidth = 1;   // Footprint from the model bounds (collisions, near misses)
+    this.halfLength = 2;
     this.createPlaceholderMesh();
   }
 
@@ -50,11 +154,7 @@ export class Car {
 
     // Car body
     const bodyGeo = new THREE.BoxGeometry(2, 0.8, 4);
-    const bodyMat = new THREE.MeshStandardMaterial({
-      color: 0x0033aa, // Hyundai N blue
-      roughness: 0.3,
-      metalness: 0.7
-    });
+    const bodyMat = new MaterialFactory().createPaintMaterial({ roughness: 0.3, metalness: 0.7 });
     const body = new THREE.Mesh(bodyGeo, bodyMat);
     body.position.y = 0.5;
     body.castShadow = true;
@@ -81,20 +181,25 @@ export class Car {
     });
 
     const wheelPositions = [
-      { x: -0.9, z: 1.2 },  // Front left
-      { x: 0.9, z: 1.2 },   // Front right
-      { x: -0.9, z: -1.2 }, // Rear left
-      { x: 0.9, z: -1.2 }   // Rear right
+      { x: -0.9, z: -1.2 }, // Front left (the car faces -Z)
+      { x: 0.9, z: -1.2 },  // Front right
+      { x: -0.9, z: 1.2 },  // Rear left
+      { x: 0.9, z: 1.2 }    // Rear right
     ];
 
-    this.wheels = [];
     wheelPositions.forEach(pos => {
       const wheel = new THREE.Mesh(wheelGeo, wheelMat);
       wheel.rotation.z = Math.PI / 2;
-      wheel.position.set(pos.x, 0.35, pos.z);
-      wheel.castShadow = true;
-      this.mesh.add(wheel);
-      this.wheels.push(wheel);
+
+      // Pivot spins about X and steers about Y
+      const pivot = new THREE.Group();
+      pivot.rotation.order = 'YXZ';
+      pivot.position.set(pos.x, 0.35, pos.z);
+      pivot.add(wheel);
+      this.mesh.add(pivot);
+
+      this.wheels.push(pivot);
+      if (pos.z < 0) this.frontWheels.push(pivot);
     });
 
     // Headlights
@@ -106,11 +211,11 @@ export class Car {
     });
 
     const leftLight = new THREE.Mesh(lightGeo, lightMat);
-    leftLight.position.set(-0.6, 0.5, 2);
+    leftLight.position.set(-0.6, 0.5, -2);
     this.mesh.add(leftLight);
 
     const rightLight = new THREE.Mesh(lightGeo, lightMat);
-    rightLight.position.set(0.6, 0.5, 2);
+    rightLight.position.set(0.6, 0.5, -2);
     this.mesh.add(rightLight);
 
     // N badge (red accent)
@@ -121,17 +226,20 @@ export class Car {
       emissiveIntensity: 0.3
     });
     const badge = new THREE.Mesh(badgeGeo, badgeMat);
-    badge.position.set(0, 0.6, -2);
+    badge.position.set(0, 0.6, 2);
     this.mesh.add(badge);
 
+    this.measureModel();
     this.scene.add(this.mesh);
   }
 
   /**
    * Load actual car GLB model
    * @param {Object} gltf - Loaded GLTF object
+   * @param {Object} options
+   * @param {Object} options.wheels - Wheel node names { front: [...], rear: [...] }
    */
-  setModel(gltf) {
+  setModel(gltf, options = {}) {
     if (this.mesh) {
       this.scene.remove(this.mesh);
     }
@@ -144,10 +252,72 @@ export class Car {
       }
     });
 
+    this.setupWheels(options.wheels);
+    this.measureModel();
+
     this.scene.add(this.mesh);
     this.updateMeshPosition();
   }
 
+  /**
+   * Find wheel nodes by name and give each a pivot at its centre
+   * (exported wheels often have their geometry offset from the node origin,
+   * so rotating the node itself would swing the wheel around the car)
+   * @param {Object} wheels - { front: [names], rear: [names] }
+   */
+  setupWheels(wheels = {}) {
+    this.wheels = [];
+    this.frontWheels = [];
+
+    this.mesh.updateMatrixWorld(true);
+    const box = new THREE.Box3();
+    const center = new THREE.Vector3();
+    const size = new THREE.Vector3();
+
+    const addWheels = (names = [], isFront) => {
+      names.forEach(name => {
+        const node = this.mesh.getObjectByName(name);
+        if (!node) {
+          console.warn(`Car: Wheel node "${name}" not found in model`);
+          return;
+        }
+
+        box.setFromObject(node);
+        box.getCenter(center);
+        box.getSize(size);
+
+        const pivot = new THREE.Group();
+        pivot.name = `${name}_pivot`;
+        pivot.rotation.order = 'YXZ';
+        node.parent.add(pivot);
+        pivot.position.copy(node.parent.worldToLocal(center.clone()));
+        pivot.attach(node);
+
+        this.wheels.push(pivot);
+        if (isFront) this.frontWheels.push(pivot);
+
+        // World size, mesh is still at the origin here
+        this.wheelRadius = size.y / 2;
+      });
+    };
+
+    addWheels(wheels.front, true);
+    addWheels(wheels.rear, false);
+  }
+
+  /**
+   * Footprint half extents from the model bounds (car-local, mesh unplaced)
+   */
+  measureModel() {
+    this.mesh.position.set(0, 0, 0);
+    this.mesh.rotation.set(0, 0, 0);
+    this.mesh.updateMatrixWorld(true);
+
+    const size = new THREE.Box3().setFromObject(this.mesh).getSize(new THREE.Vector3());
+    this.halfWidth = size.x / 2;
+    this.halfLength = size.z / 2;
+  }
+
   /**
    * Handle input events
    */
@@ -160,67 +330,289 @@ export class Car {
    * @param {number} deltaTime - Time since last frame in seconds
    */
   update(deltaTime) {
-    // Handle acceleration/braking
-    if (this.input.accelerate) {
-      this.speed += this.acceleration * deltaTime;
-    } else if (this.input.brake) {
-      this.speed -= this.brakeForce * deltaTime;
+    const dt = deltaTime;
+
+    // Handle acceleration/braking (booleans or analog 0-1 values)
+    // A flat battery gives no drive
+    const throttle = this.battery?.isEmpty() ? 0 : Number(this.input.accelerate);
+    const brake = Number(this.input.brake);
+    const handbrake = Boolean(this.input.handbrake);
+    const topSpeed = this.getTopSpeed();
+    this.throttle = throttle;
+
+    this.gearbox.update(dt, this.speed, topSpeed, throttle);
+
+    if (throttle > 0) {
+      const drive = this.gearbox.getDriveFactor() * this.boost.acceleration;
+      this.speed += this.acceleration * drive * throttle * dt;
+    } else if (brake > 0) {
+      this.speed -= this.brakeForce * brake * dt;
     } else {
       // Natural deceleration
-      this.speed -= this.deceleration * deltaTime;
+      this.speed -= this.deceleration * dt;
+    }
+    if (handbrake) {
+      this.speed -= this.handbrakeForce * dt;
     }
 
-    // Clamp speed
-    this.speed = THREE.MathUtils.clamp(this.speed, 0, this.maxSpeed);
-
-    // Handle steering (lateral offset from road center)
-    if (this.input.left) {
-      this.targetLateralOffset = Math.max(
-        this.targetLateralOffset - this.steeringSpeed * deltaTime * 2,
-        -this.maxLateralOffset
-      );
-    } else if (this.input.right) {
-      this.targetLateralOffset = Math.min(
-        this.targetLateralOffset + this.steeringSpeed * deltaTime * 2,
-        this.maxLateralOffset
-      );
-    } else {
-      // Gradually return to center
-      this.targetLateralOffset *= 0.95;
+    // Sliding sideways scrubs speed
+    this.speed -= this.speed * this.driftDrag * Math.abs(Math.sin(this.slipAngle)) * dt;
+
+    // Clamp speed (bleed off extra speed when a boost ends)
+    if (this.speed > topSpeed) {
+      this.speed = Math.max(topSpeed, this.speed - this.deceleration * 2 * dt);
     }
+    this.speed = Math.max(0, this.speed);
 
-    // Smooth lateral movement
-    this.lateralOffset = THREE.MathUtils.lerp(
-      this.lateralOffset,
-      this.targetLateralOffset,
-      deltaTime * 5
-    );
+    this.battery?.update(dt, {
+      throttle,
+      brake,
+      speedRatio: Math.min(this.speed / this.maxSpeed, 1),
+      boosting: this.boost.speed > 1
+    });
 
-    // Move forward (negative Z is forward in our coordinate system)
-    this.position.z -= this.speed * deltaTime;
+    // Steering sets the yaw rate (analog steer wins over left/right buttons)
+    // No turning on the spot: steering fades in with speed
+    const steer = this.input.steer || (Number(this.input.right) - Number(this.input.left));
+    const speedFactor = Math.min(this.speed / this.minDriftSpeed, 1);
+    const speedRatio = Math.min(this.speed / this.maxSpeed, 1);
+    const steerAuthority = sampleCurve(this.steerCurve, speedRatio);
+    const targetYawRate = steer * this.maxYawRate * steerAuthority * speedFactor * (handbrake ? this.handbrakeYawBoost : 1);
+    this.yawRate = THREE.MathUtils.lerp(this.yawRate, targetYawRate, Math.min(dt * this.yawResponse, 1));
+
+    // Arcade assist: with grip, steering alone cannot turn the body past the
+    // travel limit, and the car lines up with the road when steering is released
+    const sliding = handbrake || this.isDrifting;
+    if (!sliding && Math.abs(this.headingOffset) >= this.maxTravelAngle &&
+        Math.sign(this.yawRate) === Math.sign(this.headingOffset)) {
+      this.yawRate = 0;
+    }
+    this.headingOffset += this.yawRate * dt;
 
-    // Get road center at current position
-    const roadCenter = this.roadManager.getRoadCenterAt(this.position.z);
+    if (!sliding) {
+      const limit = this.maxTravelAngle;
+      const target = steer === 0 ? 0 : THREE.MathUtils.clamp(this.headingOffset, -limit, limit);
+      this.headingOffset += (target - this.headingOffset) * Math.min(dt * this.alignRate, 1);
+    }
+    this.headingOffset = THREE.MathUtils.clamp(this.headingOffset, -this.maxHeadingOffset, this.maxHeadingOffset);
+
+    // Grip: direction of travel follows the body
+    // Handbrake breaks traction; once sliding, counter-steer catches it
+    const slip = this.headingOffset - this.travelAngle;
+    const counterSteering = steer !== 0 && Math.sign(steer) !== Math.sign(slip);
+    let grip = this.grip * sampleCurve(this.gripCurve, speedRatio);
+    if (handbrake) {
+      grip = this.driftGrip;
+    } else if (this.isDrifting && !counterSteering) {
+      grip = this.driftGrip * 2;
+    }
+    this.travelAngle += (this.headingOffset - this.travelAngle) * Math.min(dt * grip, 1);
+    this.travelAngle = THREE.MathUtils.clamp(this.travelAngle, -this.maxTravelAngle, this.maxTravelAngle);
+    this.slipAngle = this.headingOffset - this.travelAngle;
+
+    // Advance along and across the road
+    this.distance += this.speed * Math.cos(this.travelAngle) * dt;
+    this.lateralOffset += this.speed * Math.sin(this.travelAngle) * dt;
+
+    // Road corridor: running into the edge kills the sideways motion
+    if (Math.abs(this.lateralOffset) > this.maxLateralOffset) {
+      this.lateralOffset = Math.sign(this.lateralOffset) * this.maxLateralOffset;
+      if (Math.sign(this.travelAngle) === Math.sign(this.lateralOffset)) {
+        this.speed *= 1 - Math.abs(Math.sin(this.travelAngle)) * 0.5;
+        this.travelAngle = 0;
+        this.headingOffset *= 0.5;
+        this.slipAngle = this.headingOffset;
+      }
+    }
 
-    // Apply lateral offset from road center
-    this.position.x = roadCenter.x + this.lateralOffset;
-    this.position.y = 0; // Keep on ground
+    this.updateDrift(dt);
 
-    // Update visual rotation based on lateral movement
-    const steerAngle = -this.targetLateralOffset * 0.05;
-    this.rotation.y = steerAngle;
+    // Get road centreline at current distance
+    const frame = this.road.getRoadFrameAt(this.distance);
+    if (frame) {
+      // Right-hand side of the road (tangent x up)
+      this.forward.copy(frame.tangent);
+      this.right.set(-frame.tangent.z, 0, frame.tangent.x);
 
-    // Animate wheels
-    if (this.wheels) {
-      const wheelRotation = this.speed * deltaTime * 3;
-      this.wheels.forEach(wheel => {
-        wheel.rotation.x += wheelRotation;
-      });
+      // Apply lateral offset from road center
+      this.position.copy(frame.position).addScaledVector(this.right, this.lateralOffset);
+
+      // Heading follows the road (-Z forward), body turned by the heading offset
+      const heading = Math.atan2(-frame.tangent.x, -frame.tangent.z);
+      this.rotation.y = heading - this.headingOffset;
+
+      // World velocity (direction of travel)
+      this.velocity.copy(this.forward).multiplyScalar(Math.cos(this.travelAngle))
+        .addScaledVector(this.right, Math.sin(this.travelAngle))
+        .multiplyScalar(this.speed);
     }
 
+    // Animate wheels: roll with speed, fronts follow the steering
+    const wheelRotation = this.speed * deltaTime / this.wheelRadius;
+    this.wheelSteer = THREE.MathUtils.lerp(this.wheelSteer, -steer * this.maxWheelAngle, Math.min(dt * 10, 1));
+    this.wheels.forEach(wheel => {
+      wheel.rotation.x += wheelRotation;
+    });
+    this.frontWheels.forEach(wheel => {
+      wheel.rotation.y = this.wheelSteer;
+    });
+
+    this.updateMeshPosition();
+  }
+
+  /**
+   * Push the car out of an obstacle
+   * The push is split into road distance and lateral offset so the next
+   * update keeps the car where it was moved to.
+   * @param {THREE.Vector3} normal - Contact normal pointing from the car to the obstacle
+   * @param {number} depth - Penetration depth
+   */
+  resolveCollision(normal, depth) {
+    const along = -normal.dot(this.forward) * depth;
+    const across = -normal.dot(this.right) * depth;
+
+    this.distance += along;
+    this.lateralOffset = THREE.MathUtils.clamp(
+      this.lateralOffset + across,
+      -this.maxLateralOffset,
+      this.maxLateralOffset
+    );
+
+    this.position.addScaledVector(this.forward, along).addScaledVector(this.right, across);
     this.updateMeshPosition();
   }
 
+  /**
+   * Lose speed from an impact
+   * @param {number} severity - 0 (glancing) to 1 (head-on)
+   */
+  applyImpact(severity) {
+    this.speed *= 1 - this.impactSpeedLoss * THREE.MathUtils.clamp(severity, 0, 1);
+  }
+
+  /**
+   * Switch powertrain profile (resets gears and battery)
+   * @param {string} name - Key of POWERTRAINS ('ice' or 'ev')
+   */
+  setPowertrain(name) {
+    const profile = POWERTRAINS[name];
+    if (!profile) {
+      console.warn(`Car: Unknown powertrain "${name}"`);
+      return;
+    }
+
+    this.powertrain = name;
+    this.eShift = true;
+    this.gearbox = new Gearbox(this.gearboxConfig ?? profile.gearbox);
+
+    this.battery = null;
+    if (profile.battery) {
+      this.battery = new Battery(profile.battery);
+      this.battery.on('low', () => this.emit('batteryLow'));
+      this.battery.on('empty', () => this.emit('batteryEmpty'));
+    }
+  }
+
+  /**
+   * N e-shift: virtual gear kicks on, or single-speed EV drive (EV only)
+   * @param {boolean} enabled
+   * @returns {boolean} Whether the setting applies to this powertrain
+   */
+  setEShift(enabled) {
+    const profile = POWERTRAINS[this.powertrain];
+    if (!profile.singleSpeedGearbox) return false;
+
+    const mode = this.gearbox.mode;
+    this.eShift = enabled;
+    this.gearbox = new Gearbox(enabled ? profile.gearbox : profile.singleSpeedGearbox);
+    this.gearbox.setMode(mode);
+
+    // Pick up in the gear that suits the current speed
+    if (enabled) {
+      while (this.gearbox.gear < this.gearbox.gearCount &&
+             this.gearbox.getRpmForGear(this.gearbox.gear, this.speed, this.getTopSpeed()) > this.gearbox.config.upshiftRpm) {
+        this.gearbox.gear++;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Top speed including any active boost
+   */
+  getTopSpeed() {
+    return this.maxSpeed * this.boost.speed;
+  }
+
+  /**
+   * Raise (or restore with 1, 1) top speed and acceleration
+   * @param {number} speedMultiplier
+   * @param {number} accelerationMultiplier
+   */
+  setBoost(speedMultiplier, accelerationMultiplier) {
+    this.boost.speed = speedMultiplier;
+    this.boost.acceleration = accelerationMultiplier;
+  }
+
+  /**
+   * Manual gear change (switches the gearbox to manual)
+   * @param {number} direction - +1 up, -1 down
+   */
+  shift(direction) {
+    this.gearbox.setMode('manual');
+    return this.gearbox.shift(direction, this.speed, this.getTopSpeed());
+  }
+
+  /**
+   * Engine values for the tachometer and engine sound
+   * @returns {Object} { rpm, rpmRatio, gear, mode, limiter, throttle, boosting }
+   *   plus powertrain, eShift, battery (0-1, null without one) and regen
+   */
+  getEngineState() {
+    return {
+      rpm: this.gearbox.rpm,
+      rpmRatio: this.gearbox.getRpmRatio(),
+      gear: this.gearbox.gear,
+      mode: this.gearbox.mode,
+      limiter: this.gearbox.limiterActive,
+      throttle: this.throttle,
+      boosting: this.boost.speed > 1,
+      powertrain: this.powertrain,
+      eShift: this.eShift,
+      battery: this.battery?.level ?? null,
+      regen: this.battery?.regenerating ?? false
+    };
+  }
+
+  /**
+   * Track drift start/end from the slip angle
+   */
+  updateDrift(deltaTime) {
+    const drifting = Math.abs(this.slipAngle) > this.driftThreshold && this.speed > this.minDriftSpeed;
+
+    if (drifting) {
+      if (!this.isDrifting) {
+        this.isDrifting = true;
+        this.driftDuration = 0;
+        this.driftMaxAngle = 0;
+        this.emit('driftStart');
+      }
+      this.driftDuration += deltaTime;
+      this.driftMaxAngle = Math.max(this.driftMaxAngle, Math.abs(this.slipAngle));
+    } else if (this.isDrifting) {
+      this.isDrifting = false;
+      this.emit('driftEnd', { duration: this.driftDuration, maxAngle: this.driftMaxAngle });
+    }
+  }
+
+  /**
+   * Current drift angle (slip between heading and direction of travel)
+   * @returns {number} Radians, positive when the nose points right of travel
+   */
+  getDriftAngle() {
+    return this.slipAngle;
+  }
+
   /**
    * Sync mesh transform with physics state
    */
@@ -247,9 +639,20 @@ export class Car {
     this.position.set(0, 0, 0);
     this.rotation.set(0, 0, 0);
     this.velocity.set(0, 0, 0);
+    this.distance = 0;
     this.speed = 0;
     this.lateralOffset = 0;
-    this.targetLateralOffset = 0;
+    this.headingOffset = 0;
+    this.travelAngle = 0;
+    this.yawRate = 0;
+    this.slipAngle = 0;
+    this.isDrifting = false;
+    this.driftDuration = 0;
+    this.driftMaxAngle = 0;
+    this.throttle = 0;
+    this.wheelSteer = 0;
+    this.gearbox.reset();
+    this.battery?.reset();
     this.updateMeshPosition();
   }
 
@@ -0,0 +1,134 @@
+/**
+ * Gearbox - RPM across a gear table, auto/manual shifting and rev limiter
+ *
+ * Gears are described by the fraction of the car's top speed they reach at
+ * maxRpm, so the same table works at any world scale. Lower gears pull
+ * harder (driveFactor). While a shift is in progress, or on the limiter,
+ * there is no drive.
+ *
+ * Auto mode shifts up at upshiftRpm and down at downshiftRpm. Manual mode
+ * only shifts when asked, and refuses downshifts that would over-rev.
+ */
+
+export const DEFAULT_GEARBOX = {
+  gears: [
+    { topSpeed: 0.24, driveFactor: 1.5 },
+    { topSpeed: 0.40, driveFactor: 1.25 },
+    { topSpeed: 0.56, driveFactor: 1.05 },
+    { topSpeed: 0.72, driveFactor: 0.9 },
+    { topSpeed: 0.88, driveFactor: 0.75 },
+    { topSpeed: 1.04, driveFactor: 0.65 }
+  ],
+  idleRpm: 900,
+  maxRpm: 7000,          // Rev limiter
+  upshiftRpm: 6500,
+  downshiftRpm: 3000,
+  shiftTime: 0.2         // Seconds without drive while changing gear
+};
+
+export class Gearbox {
+  /**
+   * @param {Object} config - Overrides for DEFAULT_GEARBOX
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_GEARBOX, ...config };
+    this.mode = 'auto';
+    this.reset();
+  }
+
+  reset() {
+    this.gear = 1;           // 1-based, as shown on the HUD
+    this.rpm = this.config.idleRpm;
+    this.shiftTimer = 0;
+    this.limiterActive = false;
+  }
+
+  /**
+   * @param {string} mode - 'auto' or 'manual'
+   */
+  setMode(mode) {
+    this.mode = mode === 'manual' ? 'manual' : 'auto';
+  }
+
+  get gearCount() {
+    return this.config.gears.length;
+  }
+
+  /**
+   * RPM for a speed in a given gear (unclamped)
+   */
+  getRpmForGear(gear, speed, topSpeed) {
+    const { idleRpm, maxRpm } = this.config;
+    const gearTopSpeed = this.config.gears[gear - 1].topSpeed * topSpeed;
+    return idleRpm + (speed / gearTopSpeed) * (maxRpm - idleRpm);
+  }
+
+  /**
+   * Change gear (manual shifts, or called by auto mode)
+   * @param {number} direction - +1 up, -1 down
+   * @param {number} speed - Current speed (to guard against over-revving)
+   * @param {number} topSpeed - Car top speed
+   * @returns {boolean} Whether the shift happened
+   */
+  shift(direction, speed = 0, topSpeed = 1) {
+    const gear = this.gear + Math.sign(direction);
+    if (gear < 1 || gear > this.gearCount) return false;
+
+    // Money-shift protection
+    if (direction < 0 && this.getRpmForGear(gear, speed, topSpeed) > this.config.maxRpm) {
+      return false;
+    }
+
+    this.gear = gear;
+    this.shiftTimer = this.config.shiftTime;
+    return true;
+  }
+
+  /**
+   * Update RPM and auto shifting
+   * @param {number} deltaTime
+   * @param {number} speed - Current speed
+   * @param {number} topSpeed - Car top speed (gear table is relative to it)
+   * @param {number} throttle - 0-1
+   */
+  update(deltaTime, speed, topSpeed, throttle) {
+    const { idleRpm, maxRpm, upshiftRpm, downshiftRpm } = this.config;
+
+    this.shiftTimer = Math.max(0, this.shiftTimer - deltaTime);
+
+    if (this.mode === 'auto' && this.shiftTimer === 0) {
+      const rpm = this.getRpmForGear(this.gear, speed, topSpeed);
+      if (rpm >= upshiftRpm && throttle > 0) {
+        this.shift(1, speed, topSpeed);
+      } else if (rpm < downshiftRpm && this.gear > 1) {
+        this.shift(-1, speed, topSpeed);
+      }
+    }
+
+    // Engine speed follows road speed; free revs a little with the clutch in
+    let targetRpm = this.getRpmForGear(this.gear, speed, topSpeed);
+    if (this.shiftTimer > 0 || speed < 0.01) {
+      targetRpm = Math.max(targetRpm, idleRpm + throttle * (maxRpm - idleRpm) * 0.3);
+    }
+
+    this.limiterActive = targetRpm >= maxRpm && throttle > 0;
+    this.rpm = Math.min(Math.max(targetRpm, idleRpm), maxRpm);
+  }
+
+  /**
+   * Multiplier for the car's acceleration in the current gear
+   * (0 while shifting or bouncing off the limiter)
+   */
+  getDriveFactor() {
+    if (this.shiftTimer > 0 || this.limiterActive) return 0;
+    return this.config.gears[this.gear - 1].driveFactor;
+  }
+
+  /**
+   * RPM as 0-1 of the rev range (for gauges and engine sound)
+   */
+  getRpmRatio() {
+    const { idleRpm, maxRpm } = this.config;
+    return (this.rpm - idleRpm) / (maxRpm - idleRpm);
+  }
+}
@@ -0,0 +1,124 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+/**
+ * GrinShift - Timed "N Grin Shift" boost
+ *
+ * A charge meter (0-1) fills while drifting and on near misses. With a full
+ * charge and no cooldown, activating raises the car's top speed and
+ * acceleration for a few seconds. After it ends, the meter stays locked
+ * for the cooldown.
+ *
+ * Events:
+ * - 'ready'                     charge full and cooldown over
+ * - 'start' { duration }
+ * - 'end'
+ */
+
+export const DEFAULT_GRIN_SHIFT = {
+  duration: 5,               // Seconds of boost
+  cooldown: 6,               // Seconds before charge can build again
+  speedMultiplier: 1.25,     // Applied to Car.maxSpeed
+  accelerationMultiplier: 1.6,
+  chargePerDriftSecond: 0.15,
+  chargePerNearMiss: 0.2
+};
+
+export class GrinShift extends EventEmitter {
+  /**
+   * @param {Car} car - Car to boost (Car.setBoost)
+   * @param {Object} config - Overrides for DEFAULT_GRIN_SHIFT
+   */
+  constructor(car, config = {}) {
+    super();
+    this.car = car;
+    this.config = { ...DEFAULT_GRIN_SHIFT, ...config };
+    this.reset();
+  }
+
+  /**
+   * Empty the meter and cancel any boost (new run)
+   */
+  reset() {
+    this.charge = 0;
+    this.active = false;
+    this.remaining = 0;
+    this.cooldownRemaining = 0;
+    this.car.setBoost(1, 1);
+  }
+
+  isReady() {
+    return !this.active && this.cooldownRemaining === 0 && this.charge >= 1;
+  }
+
+  /**
+   * Add to the meter (ignored while boosting or cooling down)
+   * @param {number} amount - Fraction of a full meter
+   */
+  addCharge(amount) {
+    if (this.active || this.cooldownRemaining > 0 || this.charge >= 1) return;
+
+    this.charge = Math.min(1, this.charge + amount);
+    if (this.charge >= 1) {
+      this.emit('ready');
+    }
+  }
+
+  /**
+   * Near misses top up the meter
+   */
+  registerNearMiss() {
+    this.addCharge(this.config.chargePerNearMiss);
+  }
+
+  /**
+   * Fire the boost if the meter is full
+   * @returns {boolean} Whether it started
+   */
+  activate() {
+    if (!this.isReady()) return false;
+
+    const { duration, speedMultiplier, accelerationMultiplier } = this.config;
+    this.active = true;
+    this.remaining = duration;
+    this.car.setBoost(speedMultiplier, accelerationMultiplier);
+    this.emit('start', { duration });
+    return true;
+  }
+
+  /**
+   * Tick the boost, cooldown and drift charging
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    if (this.active) {
+      this.remaining -= deltaTime;
+      this.charge = Math.max(0, this.remaining / this.config.duration);
+
+      if (this.remaining <= 0) {
+        this.active = false;
+        this.remaining = 0;
+        this.charge = 0;
+        this.cooldownRemaining = this.config.cooldown;
+        this.car.setBoost(1, 1);
+        this.emit('end');
+      }
+      return;
+    }
+
+    if (this.cooldownRemaining > 0) {
+      this.cooldownRemaining = Math.max(0, this.cooldownRemaining - deltaTime);
+      return;
+    }
+
+    if (this.car.isDrifting) {
+      this.addCharge(this.config.chargePerDriftSecond * deltaTime);
+    }
+  }
+
+  /**
+   * Meter value for the HUD: charge, or time left while boosting
+   */
+  getMeter() {
+    return this.charge;
+  }
+}
@@ -0,0 +1,62 @@
+import { DEFAULT_GEARBOX } from './Gearbox.js';
+import { DEFAULT_BATTERY } from './Battery.js';
+
+/**
+ * Powertrain profiles for Car.setPowertrain
+ *
+ * - ice: petrol turbo with a six-speed gearbox (i20 N / i30 N style)
+ * - ev:  dual-motor EV (IONIQ 5 N style) with a battery, regen braking,
+ *        "N e-shift" virtual eight-speed gear kicks that can be switched off
+ *        for a single-speed drive, and "N Active Sound+" sound profiles
+ *
+ * Gear tables use the same format as DEFAULT_GEARBOX. With e-shift the
+ * "RPM" is virtual, but the tachometer, shift kicks and limiter behave
+ * like the real thing.
+ */
+
+// N e-shift: short virtual gears with quick, punchy shifts
+export const EV_ESHIFT_GEARBOX = {
+  gears: [
+    { topSpeed: 0.18, driveFactor: 1.7 },
+    { topSpeed: 0.30, driveFactor: 1.5 },
+    { topSpeed: 0.42, driveFactor: 1.35 },
+    { topSpeed: 0.54, driveFactor: 1.2 },
+    { topSpeed: 0.66, driveFactor: 1.05 },
+    { topSpeed: 0.78, driveFactor: 0.95 },
+    { topSpeed: 0.90, driveFactor: 0.85 },
+    { topSpeed: 1.04, driveFactor: 0.75 }
+  ],
+  idleRpm: 900,
+  maxRpm: 7000,
+  upshiftRpm: 6600,
+  downshiftRpm: 3200,
+  shiftTime: 0.12
+};
+
+// e-shift off: one reduction gear, smooth and strong all the way up
+export const EV_SINGLE_SPEED_GEARBOX = {
+  gears: [
+    { topSpeed: 1.04, driveFactor: 1.2 }
+  ],
+  idleRpm: 0,
+  maxRpm: 7000,
+  upshiftRpm: 7000,
+  downshiftRpm: 0,
+  shiftTime: 0
+};
+
+export const POWERTRAINS = {
+  ice: {
+    label: 'TURBO',
+    gearbox: DEFAULT_GEARBOX,
+    battery: null,
+    soundProfiles: ['ignition']
+  },
+  ev: {
+    label: 'EV',
+    gearbox: EV_ESHIFT_GEARBOX,
+    singleSpeedGearbox: EV_SINGLE_SPEED_GEARBOX,
+    battery: DEFAULT_BATTERY,
+    soundProfiles: ['evolution', 'supersonic', 'ignition']
+  }
+};
@@ -0,0 +1,204 @@
+import { t } from '../core/I18n.js';
+
+/**
+ * TouchControls - On-screen driving controls for touch devices
+ *
+ * Left thumb: steer left / steer right zones
+ * Right thumb: brake and gas pedals, handbrake above the brake and
+ * N Grin Shift boost above the gas
+ * Top right: camera button (cycles camera rigs)
+ *
+ * Every active touch is hit-tested against the zones on each touch event,
+ * so several fingers can hold different controls and a finger can slide
+ * from one zone to another. The resulting state maps onto Car.setInput().
+ * The zones stay where they are in right-to-left languages: pedals are
+ * physical controls, only their labels are translated.
+ */
+export class TouchControls {
+  /**
+   * @param {HTMLElement} container - Element the overlay is added to
+   */
+  constructor(container) {
+    this.container = container;
+    this.overlay = null;
+    this.zones = {};
+    this.enabled = TouchControls.isTouchDevice();
+
+    // Current input state (same shape as Car.input)
+    this.state = {
+      accelerate: false,
+      brake: false,
+      handbrake: false,
+      boost: false,
+      left: false,
+      right: false,
+      camera: false
+    };
+
+    this.onTouch = this.onTouch.bind(this);
+
+    if (this.enabled) {
+      this.createOverlay();
+      this.resize(window.innerWidth, window.innerHeight);
+    }
+  }
+
+  /**
+   * Detect touch-capable devices
+   */
+  static isTouchDevice() {
+    return 'ontouchstart' in window ||
+      navigator.maxTouchPoints > 0 ||
+      window.matchMedia?.('(pointer: coarse)').matches;
+  }
+
+  /**
+   * Build the overlay and its control zones
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'touch-controls';
+    this.overlay.style.cssText = 'position:absolute;inset:0;z-index:60;pointer-events:none;user-select:none;-webkit-user-select:none;';
+
+    const zoneDefs = [
+      { input: 'left', label: '◀' },
+      { input: 'right', label: '▶' },
+      { input: 'brake', label: 'touch.brake' },
+      { input: 'handbrake', label: 'touch.drift' },
+      { input: 'boost', label: 'N' },
+      { input: 'accelerate', label: 'touch.gas' },
+      { input: 'camera', label: 'touch.camera' }
+    ];
+
+    zoneDefs.forEach(({ input, label }) => {
+      const zone = document.createElement('div');
+      zone.dataset.input = input;
+      zone.dataset.label = label;
+      zone.textContent = t(label);
+      zone.style.cssText = 'position:absolute;display:flex;align-items:center;justify-content:center;' +
+        'pointer-events:auto;touch-action:none;border-radius:12px;border:2px solid rgba(255,255,255,0.35);' +
+        'background:rgba(0,0,0,0.25);color:rgba(255,255,255,0.8);font-family:var(--font-display);' +
+        'font-size:14px;letter-spacing:0.1em;transition:background 0.08s;';
+      this.overlay.appendChild(zone);
+      this.zones[input] = zone;
+    });
+
+    // Pedals use the campaign accent colour
+    this.zones.accelerate.style.borderColor = 'rgba(var(--brand-primary-rgb),0.8)';
+
+    this.overlay.addEventListener('touchstart', this.onTouch, { passive: false });
+    this.overlay.addEventListener('touchmove', this.onTouch, { passive: false });
+    this.overlay.addEventListener('touchend', this.onTouch, { passive: false });
+    this.overlay.addEventListener('touchcancel', this.onTouch, { passive: false });
+
+    this.container.appendChild(this.overlay);
+  }
+
+  /**
+   * Translate the zone labels again (after a language switch)
+   */
+  updateLabels() {
+    Object.values(this.zones).forEach(zone => {
+      zone.textContent = t(zone.dataset.label);
+    });
+  }
+
+  /**
+   * Recompute input state from all active touches
+   * @param {TouchEvent} e
+   */
+  onTouch(e) {
+    e.preventDefault();
+
+    const next = { accelerate: false, brake: false, handbrake: false, boost: false, left: false, right: false, camera: false };
+
+    for (const touch of e.touches) {
+      const element = document.elementFromPoint(touch.clientX, touch.clientY);
+      const input = element?.dataset?.input;
+      if (input && input in next) {
+        next[input] = true;
+      }
+    }
+
+    Object.assign(this.state, next);
+    this.updateHighlights();
+  }
+
+  /**
+   * Light up zones that are currently held
+   */
+  updateHighlights() {
+    Object.entries(this.zones).forEach(([input, zone]) => {
+      zone.style.background = this.state[input] ? 'rgba(var(--brand-primary-rgb),0.45)' : 'rgba(0,0,0,0.25)';
+    });
+  }
+
+  /**
+   * Lay out zones for the current viewport
+   * Portrait: compact zones along the bottom edge
+   * Landscape: tall zones hugging the left and right edges
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   */
+  resize(width, height) {
+    if (!this.overlay) return;
+
+    const portrait = height > width;
+    const margin = Math.round(Math.min(width, height) * 0.04);
+    const zoneWidth = Math.round(portrait ? width * 0.2 : width * 0.12);
+    const zoneHeight = Math.round(portrait ? height * 0.16 : height * 0.4);
+    const gap = Math.round(margin / 2);
+
+    const place = (zone, left, bottom, height = zoneHeight) => {
+      zone.style.left = `${left}px`;
+      zone.style.bottom = `${bottom}px`;
+      zone.style.width = `${zoneWidth}px`;
+      zone.style.height = `${height}px`;
+    };
+
+    // Steering on the left, pedals on the right (gas outermost)
+    place(this.zones.left, margin, margin);
+    place(this.zones.right, margin + zoneWidth + gap, margin);
+    place(this.zones.brake, width - margin - zoneWidth * 2 - gap, margin);
+    place(this.zones.accelerate, width - margin - zoneWidth, margin);
+    place(this.zones.handbrake, width - margin - zoneWidth * 2 - gap, margin + zoneHeight + gap, Math.round(zoneHeight / 2));
+    place(this.zones.boost, width - margin - zoneWidth, margin + zoneHeight + gap, Math.round(zoneHeight / 2));
+
+    // Camera button clear of the HUD's top row
+    const cameraSize = Math.round(Math.min(zoneWidth, zoneHeight) / 2);
+    place(this.zones.camera, width - margin - cameraSize, height - margin - cameraSize - Math.round(height * 0.12), cameraSize);
+    this.zones.camera.style.width = `${cameraSize}px`;
+  }
+
+  /**
+   * Get current input state
+   * @returns {Object} { accelerate, brake, handbrake, boost, left, right, camera }
+   */
+  getInput() {
+    return this.state;
+  }
+
+  /**
+   * Show or hide the overlay (touch devices only)
+   */
+  setVisible(visible) {
+    if (this.overlay) {
+      this.overlay.style.display = visible ? '' : 'none';
+    }
+  }
+
+  /**
+   * Remove overlay and listeners
+   */
+  dispose() {
+    if (!this.overlay) return;
+
+    this.overlay.removeEventListener('touchstart', this.onTouch);
+    this.overlay.removeEventListener('touchmove', this.onTouch);
+    this.overlay.removeEventListener('touchend', this.onTouch);
+    this.overlay.removeEventListener('touchcancel', this.onTouch);
+    this.overlay.remove();
+    this.overlay = null;
+    this.zones = {};
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Analytics - Typed gameplay event bus with pluggable sinks
+ *
+ * track(name, props) checks the event against ANALYTICS_EVENTS (unknown
+ * events and mistyped properties are dropped with a warning), stamps it
+ * with the session id and time, and hands it to every sink.
+ *
+ * Nothing is tracked, buffered or sent without the player's 'analytics'
+ * consent (ConsentManager). Withdrawing consent clears what the sinks have
+ * not sent yet, along with the local buffer.
+ *
+ * A sink is any object with send(event) and optional flush() / clear().
+ * ANALYTICS_SINKS holds the built-in ones, picked by name in the campaign
+ * config's "analytics.sinks" list:
+ * - console: logs each event
+ * - storage: keeps the latest events in localStorage (debugging, offline QA)
+ * - beacon:  batches events and posts them with navigator.sendBeacon to
+ *            analytics.endpoint (flushed when full, on a timer and when the
+ *            page is hidden)
+ *
+ * Events carry no personal data: lead_submitted reports the outcome only.
+ */
+
+// Property types per event ('number', 'string', 'boolean'; '?' marks optional)
+export const ANALYTICS_EVENTS = {
+  session_start: { market: 'string?', campaign: 'string?', vehicle: 'string', touch: 'boolean' },
+  run_start: { mode: 'string', seed: 'number', vehicle: 'string', powertrain: 'string' },
+  crash: { type: 'string', speed: 'number', strength: 'number' },
+  boost_used: { duration: 'number', speed: 'number' },
+  run_end: { mode: 'string', score: 'number', distance: 'number', time: 'number', topSpeed: 'number', seed: 'number' },
+  share_clicked: { outcome: 'string' },
+  lead_submitted: { status: 'string', market: 'string?' }
+};
+
+const DEFAULT_ANALYTICS_CONFIG = {
+  sinks: ['console'],
+  endpoint: '/api/events',
+  batchSize: 20,
+  flushInterval: 15,  // Seconds between beacon flushes
+  bufferSize: 200     // Events kept by the storage sink
+};
+
+export const ANALYTICS_SINKS = {
+  console: () => ({
+    send(event) {
+      console.log(`[analytics] ${event.name}`, event.props);
+    }
+  }),
+
+  storage: (config) => {
+    const storageKey = config.storageKey || 'hyundai_n_analytics';
+    const read = () => {
+      try {
+        const stored = JSON.parse(localStorage.getItem(storageKey));
+        return Array.isArray(stored) ? stored : [];
+      } catch (e) {
+        return [];
+      }
+    };
+
+    return {
+      send(event) {
+        const events = read();
+        events.push(event);
+        try {
+          localStorage.setItem(storageKey, JSON.stringify(events.slice(-config.bufferSize)));
+        } catch (e) {
+          console.warn('Failed to buffer analytics event');
+        }
+      },
+      read,
+      clear() {
+        try {
+          localStorage.removeItem(storageKey);
+        } catch (e) {
+          console.warn('Failed to clear buffered analytics events');
+        }
+      }
+    };
+  },
+
+  beacon: (config) => {
+    let batch = [];
+
+    const flush = () => {
+      if (batch.length === 0) return;
+      const body = new Blob([JSON.stringify({ events: batch })], { type: 'application/json' });
+      const queued = navigator.sendBeacon?.(config.endpoint, body);
+      if (!queued) {
+        // No beacon support, or the browser refused the payload
+        fetch(config.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+      }
+      batch = [];
+    };
+
+    setInterval(flush, config.flushInterval * 1000);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush();
+    });
+
+    return {
+      send(event) {
+        batch.push(event);
+        if (batch.length >= config.batchSize) flush();
+      },
+      flush,
+      clear() {
+        batch = [];
+      }
+    };
+  }
+};
+
+/**
+ * Does a value match a schema type ('number', 'string?', ...)?
+ */
+function matchesType(value, type) {
+  const optional = type.endsWith('?');
+  if (value === undefined || value === null) return optional;
+  const base = optional ? type.slice(0, -1) : type;
+  return base === 'number' ? Number.isFinite(value) : typeof value === base;
+}
+
+export class Analytics {
+  /**
+   * @param {ConsentManager} consent - Events only flow while 'analytics' is granted
+   * @param {Object} config - Campaign "analytics" section (see DEFAULT_ANALYTICS_CONFIG)
+   */
+  constructor(consent, config = {}) {
+    this.consent = consent;
+    this.config = { ...DEFAULT_ANALYTICS_CONFIG, ...config };
+    this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.sinks = new Map();
+
+    this.config.sinks.forEach(name => {
+      const factory = ANALYTICS_SINKS[name];
+      if (factory) {
+        this.addSink(name, factory(this.config));
+      } else {
+        console.warn(`Analytics: Unknown sink "${name}". Options: ${Object.keys(ANALYTICS_SINKS).join(', ')}`);
+      }
+    });
+
+    // Withdrawn consent: drop anything not sent yet
+    consent.on('change', ({ purpose, granted }) => {
+      if (purpose === 'analytics' && !granted) this.clear();
+    });
+  }
+
+  /**
+   * Add (or replace) a sink
+   * @param {string} name
+   * @param {Object} sink - { send(event), flush(), clear() }
+   */
+  addSink(name, sink) {
+    this.sinks.set(name, sink);
+  }
+
+  removeSink(name) {
+    this.sinks.delete(name);
+  }
+
+  isEnabled() {
+    return this.consent.has('analytics');
+  }
+
+  /**
+   * Record an event (dropped without consent)
+   * @param {string} name - Key of ANALYTICS_EVENTS
+   * @param {Object} props - Properties matching its schema
+   * @returns {boolean} Whether the event was sent to the sinks
+   */
+  track(name, props = {}) {
+    if (!this.isEnabled()) return false;
+
+    const schema = ANALYTICS_EVENTS[name];
+    if (!schema) {
+      console.warn(`Analytics: Unknown event "${name}"`);
+      return false;
+    }
+
+    const invalid = Object.keys(schema).filter(key => !matchesType(props[key], schema[key]));
+    if (invalid.length > 0) {
+      console.warn(`Analytics: Dropped "${name}", bad ${invalid.join(', ')}`, props);
+      return false;
+    }
+
+    // Only schema properties leave the game
+    const clean = {};
+    Object.keys(schema).forEach(key => {
+      if (props[key] !== undefined) clean[key] = props[key];
+    });
+
+    const event = { name, props: clean, session: this.sessionId, time: new Date().toISOString() };
+    this.sinks.forEach(sink => sink.send(event));
+    return true;
+  }
+
+  /**
+   * Send anything batched now
+   */
+  flush() {
+    this.sinks.forEach(sink => sink.flush?.());
+  }
+
+  /**
+   * Forget buffered and unsent events
+   */
+  clear() {
+    this.sinks.forEach(sink => sink.clear?.());
+  }
+}
@@ -0,0 +1,431 @@
+/**
+ * AudioManager - Procedural engine audio and sound effects (Web Audio API)
+ *
+ * Everything is synthesised, no audio files or services:
+ * - Engine: two oscillators following RPM through a lowpass that opens
+ *   with load (throttle). The voice comes from a sound profile: a petrol
+ *   4-cylinder, or the EV "N Active Sound+" synthetic profiles
+ * - Tyres: looped noise through a bandpass, louder with drift slip
+ * - One-shots: collision impact, boost whoosh, UI click
+ *
+ * Mixer: master <- sfx. Volumes persist in localStorage; mute (e.g. from
+ * an embedding page) silences master without changing them.
+ *
+ * Browsers (mobile especially) only allow audio after a user gesture, so
+ * the AudioContext is created on the first pointer/key/touch event.
+ */
+
+export const DEFAULT_VOLUMES = {
+  master: 0.8,
+  sfx: 0.8
+};
+
+/**
+ * Engine voices. Pitch is the main oscillator frequency per RPM,
+ * the sub oscillator runs at subRatio of it.
+ */
+export const SOUND_PROFILES = {
+  // Petrol turbo 4-cylinder (firing frequency = rpm / 60 * 2)
+  ignition: { mainType: 'sawtooth', subType: 'square', pitch: 1 / 30, subRatio: 0.5, subLevel: 0.5, brightness: 1, q: 4 },
+  // Futuristic EV hum with a rising harmonic
+  evolution: { mainType: 'triangle', subType: 'sine', pitch: 1 / 12, subRatio: 1.5, subLevel: 0.4, brightness: 1.5, q: 8 },
+  // Jet-like whine
+  supersonic: { mainType: 'sawtooth', subType: 'triangle', pitch: 1 / 8, subRatio: 2.01, subLevel: 0.6, brightness: 2, q: 2 }
+};
+
+const IDLE_ENGINE_GAIN = 0.12;
+const FULL_ENGINE_GAIN = 0.3;
+const MAX_TYRE_GAIN = 0.25;
+
+export class AudioManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for mixer volumes
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'hyundai_n_audio';
+    this.volumes = this.loadVolumes();
+    this.muted = false;
+
+    this.context = null;
+    this.buses = {};
+    this.engine = null;
+    this.tyres = null;
+    this.noiseBuffer = null;
+    this.engineActive = false;
+    this.soundProfile = 'ignition';
+
+    this.unlock = this.unlock.bind(this);
+  }
+
+  // ============================================
+  // SETUP
+  // ============================================
+
+  /**
+   * Create the AudioContext on the first user gesture
+   */
+  unlockOnGesture() {
+    ['pointerdown', 'keydown', 'touchend'].forEach(type => {
+      window.addEventListener(type, this.unlock, { once: true, capture: true });
+    });
+  }
+
+  /**
+   * Create (or resume) the AudioContext and build the audio graph
+   */
+  unlock() {
+    ['pointerdown', 'keydown', 'touchend'].forEach(type => {
+      window.removeEventListener(type, this.unlock, { capture: true });
+    });
+
+    if (this.context) {
+      if (this.context.state === 'suspended') this.context.resume();
+      return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn('Web Audio not supported, running silent');
+      return;
+    }
+
+    this.context = new AudioContextClass();
+    this.createBuses();
+    this.noiseBuffer = this.createNoiseBuffer();
+    this.createEngine();
+    this.createTyres();
+
+    console.log('Audio unlocked');
+  }
+
+  /**
+   * Mixer: sfx bus into master
+   */
+  createBuses() {
+    const ctx = this.context;
+
+    this.buses.master = ctx.createGain();
+    this.buses.master.connect(ctx.destination);
+
+    this.buses.sfx = ctx.createGain();
+    this.buses.sfx.connect(this.buses.master);
+
+    Object.keys(DEFAULT_VOLUMES).forEach(bus => {
+      this.buses[bus].gain.value = this.getBusGain(bus);
+    });
+  }
+
+  /**
+   * Gain a bus should be at (master is 0 while muted)
+   */
+  getBusGain(bus) {
+    return bus === 'master' && this.muted ? 0 : this.volumes[bus];
+  }
+
+  /**
+   * One second of white noise, shared by tyres, impacts and whoosh
+   */
+  createNoiseBuffer() {
+    const ctx = this.context;
+    const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  createEngine() {
+    const ctx = this.context;
+
+    const main = ctx.createOscillator();
+    main.type = 'sawtooth';
+
+    const sub = ctx.createOscillator();
+    sub.type = 'square';
+
+    const subGain = ctx.createGain();
+    subGain.gain.value = 0.5;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 400;
+    filter.Q.value = 4;
+
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+
+    main.connect(filter);
+    sub.connect(subGain).connect(filter);
+    filter.connect(gain).connect(this.buses.sfx);
+
+    main.start();
+    sub.start();
+
+    this.engine = { main, sub, subGain, filter, gain };
+    this.applySoundProfile();
+  }
+
+  createTyres() {
+    const ctx = this.context;
+
+    const source = ctx.createBufferSource();
+    source.buffer = this.noiseBuffer;
+    source.loop = true;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 1800;
+    filter.Q.value = 6;
+
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+
+    source.connect(filter).connect(gain).connect(this.buses.sfx);
+    source.start();
+
+    this.tyres = { source, filter, gain };
+  }
+
+  // ============================================
+  // MIXER
+  // ============================================
+
+  /**
+   * Load mixer volumes from localStorage, falling back to defaults
+   */
+  loadVolumes() {
+    const volumes = { ...DEFAULT_VOLUMES };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      Object.keys(volumes).forEach(bus => {
+        if (typeof stored?.[bus] === 'number') volumes[bus] = stored[bus];
+      });
+    } catch (e) {
+      console.warn('Failed to load audio volumes, using defaults');
+    }
+
+    return volumes;
+  }
+
+  saveVolumes() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.volumes));
+    } catch (e) {
+      console.warn('Failed to save audio volumes');
+    }
+  }
+
+  /**
+   * Set a bus volume and persist it
+   * @param {string} bus - 'master' or 'sfx'
+   * @param {number} volume - 0-1
+   */
+  setVolume(bus, volume) {
+    if (!(bus in DEFAULT_VOLUMES)) {
+      console.warn(`AudioManager: Unknown bus "${bus}"`);
+      return;
+    }
+
+    this.volumes[bus] = Math.min(Math.max(volume, 0), 1);
+    this.saveVolumes();
+
+    if (this.buses[bus]) {
+      this.buses[bus].gain.setTargetAtTime(this.getBusGain(bus), this.context.currentTime, 0.02);
+    }
+  }
+
+  /**
+   * Silence everything without touching the saved volumes
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    if (this.buses.master) {
+      this.buses.master.gain.setTargetAtTime(this.getBusGain('master'), this.context.currentTime, 0.02);
+    }
+  }
+
+  getVolume(bus) {
+    return this.volumes[bus];
+  }
+
+  // ============================================
+  // CONTINUOUS SOUNDS
+  // ============================================
+
+  /**
+   * Select the engine voice (N Active Sound+)
+   * @param {string} name - Key of SOUND_PROFILES
+   */
+  setSoundProfile(name) {
+    if (!SOUND_PROFILES[name]) {
+      console.warn(`AudioManager: Unknown sound profile "${name}"`);
+      return;
+    }
+    this.soundProfile = name;
+    this.applySoundProfile();
+  }
+
+  applySoundProfile() {
+    if (!this.engine) return;
+
+    const profile = SOUND_PROFILES[this.soundProfile];
+    this.engine.main.type = profile.mainType;
+    this.engine.sub.type = profile.subType;
+    this.engine.subGain.gain.value = profile.subLevel;
+    this.engine.filter.Q.value = profile.q;
+  }
+
+  /**
+   * Fade the engine and tyres in (racing) or out (menus, pause)
+   */
+  setEngineActive(active) {
+    this.engineActive = active;
+    if (!this.context) return;
+
+    if (!active) {
+      const now = this.context.currentTime;
+      this.engine.gain.gain.setTargetAtTime(0, now, 0.1);
+      this.tyres.gain.gain.setTargetAtTime(0, now, 0.05);
+    }
+  }
+
+  /**
+   * Follow the car's engine (call every frame)
+   * @param {Object} state - Car.getEngineState(): { rpm, throttle, limiter, boosting }
+   */
+  updateEngine(state) {
+    if (!this.context || !this.engineActive) return;
+
+    const now = this.context.currentTime;
+    const { main, sub, filter, gain } = this.engine;
+    const profile = SOUND_PROFILES[this.soundProfile];
+
+    const frequency = Math.max(state.rpm * profile.pitch, 20);
+    main.frequency.setTargetAtTime(frequency, now, 0.03);
+    sub.frequency.setTargetAtTime(frequency * profile.subRatio, now, 0.03);
+
+    // Load opens the filter and raises the volume; boost adds bite
+    const load = state.throttle ?? 0;
+    const cutoff = 300 + frequency * (2 + load * 4) * profile.brightness * (state.boosting ? 1.5 : 1);
+    filter.frequency.setTargetAtTime(Math.min(cutoff, 12000), now, 0.05);
+
+    let volume = IDLE_ENGINE_GAIN + (FULL_ENGINE_GAIN - IDLE_ENGINE_GAIN) * load;
+    if (state.limiter) {
+      // Rev limiter cuts the spark: stutter the volume
+      volume *= Math.random() < 0.5 ? 0.3 : 1;
+    }
+    gain.gain.setTargetAtTime(volume, now, 0.02);
+  }
+
+  /**
+   * Tyre screech from drift slip (call every frame)
+   * @param {number} slipAngle - Radians
+   * @param {number} speedRatio - Speed / top speed (0-1)
+   */
+  updateTyres(slipAngle, speedRatio) {
+    if (!this.context || !this.engineActive) return;
+
+    const now = this.context.currentTime;
+    const slip = Math.max(0, Math.abs(slipAngle) - 0.1);
+    const intensity = Math.min(slip * 2, 1) * Math.min(speedRatio * 1.5, 1);
+
+    this.tyres.gain.gain.setTargetAtTime(intensity * MAX_TYRE_GAIN, now, 0.05);
+    this.tyres.filter.frequency.setTargetAtTime(1400 + intensity * 1200, now, 0.05);
+  }
+
+  // ============================================
+  // ONE-SHOTS
+  // ============================================
+
+  /**
+   * Noise burst through a filter with a decay envelope
+   */
+  playNoise({ type, frequency, endFrequency, duration, volume }) {
+    if (!this.context) return;
+
+    const ctx = this.context;
+    const now = ctx.currentTime;
+
+    const source = ctx.createBufferSource();
+    source.buffer = this.noiseBuffer;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.setValueAtTime(frequency, now);
+    if (endFrequency) {
+      filter.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+    }
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+    source.connect(filter).connect(gain).connect(this.buses.sfx);
+    source.start(now);
+    source.stop(now + duration);
+  }
+
+  /**
+   * Short pitched tone with a decay envelope
+   */
+  playTone({ type = 'sine', frequency, endFrequency, duration, volume }) {
+    if (!this.context) return;
+
+    const ctx = this.context;
+    const now = ctx.currentTime;
+
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, now);
+    if (endFrequency) {
+      osc.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+    }
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+    osc.connect(gain).connect(this.buses.sfx);
+    osc.start(now);
+    osc.stop(now + duration);
+  }
+
+  /**
+   * Collision: crunch plus a low thump
+   * @param {number} intensity - 0-1
+   */
+  playImpact(intensity = 1) {
+    const level = Math.min(Math.max(intensity, 0.2), 1);
+    this.playNoise({ type: 'lowpass', frequency: 2500, endFrequency: 300, duration: 0.35, volume: 0.6 * level });
+    this.playTone({ type: 'sine', frequency: 120, endFrequency: 40, duration: 0.3, volume: 0.7 * level });
+  }
+
+  /**
+   * Boost: rising filtered whoosh
+   */
+  playBoost() {
+    this.playNoise({ type: 'bandpass', frequency: 400, endFrequency: 4000, duration: 0.8, volume: 0.5 });
+    this.playTone({ type: 'sawtooth', frequency: 110, endFrequency: 440, duration: 0.6, volume: 0.1 });
+  }
+
+  /**
+   * UI click
+   */
+  playClick() {
+    this.playTone({ type: 'sine', frequency: 1200, endFrequency: 800, duration: 0.05, volume: 0.2 });
+  }
+
+  /**
+   * Close the AudioContext
+   */
+  dispose() {
+    this.context?.close();
+    this.context = null;
+    this.engine = null;
+    this.tyres = null;
+  }
+}
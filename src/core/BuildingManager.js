@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { ObjectPool } from './ObjectPool.js';
+import { Random } from '../utils/Random.js';
 
 /**
  * BuildingManager - Grid-based spawning system for city props
@@ -9,9 +10,15 @@ import { ObjectPool } from './ObjectPool.js';
  * as the player advances.
  */
 export class BuildingManager {
-  constructor(scene, assetLoader) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {AssetLoader} assetLoader
+   * @param {Random} rng - Seeded generator for placement and variety
+   */
+  constructor(scene, assetLoader, rng = new Random()) {
     this.scene = scene;
     this.assetLoader = assetLoader;
+    this.rng = rng;
 
     // Building templates (original loaded models)
     this.buildingTemplates = [];
@@ -211,7 +218,7 @@ export class BuildingManager {
    */
   selectRandomTemplate() {
     const totalWeight = this.buildingTemplates.reduce((sum, t) => sum + t.weight, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
 
     for (const template of this.buildingTemplates) {
       random -= template.weight;
@@ -231,8 +238,8 @@ export class BuildingManager {
 
     // Random Y rotation for variety
     const yRotation = side === 'left'
-      ? Math.PI / 2 + (Math.random() - 0.5) * 0.2
-      : -Math.PI / 2 + (Math.random() - 0.5) * 0.2;
+      ? Math.PI / 2 + (this.rng.next() - 0.5) * 0.2
+      : -Math.PI / 2 + (this.rng.next() - 0.5) * 0.2;
 
     building.mesh.position.set(x, 0, z);
     building.mesh.rotation.y = yRotation;
@@ -262,22 +269,22 @@ export class BuildingManager {
     for (let z = startZ; z > endZ; z -= gridCellSize) {
       // Left side buildings
       for (let row = 0; row < rowsPerSide; row++) {
-        const x = leftEdge - row * gridCellSize - Math.random() * 5;
+        const x = leftEdge - row * gridCellSize - this.rng.next() * 5;
         const cellKey = `${Math.floor(x / gridCellSize)}_${Math.floor(z / gridCellSize)}`;
 
-        if (!this.occupiedCells.has(cellKey) && Math.random() > 0.2) {
-          this.spawnBuilding(x, z + Math.random() * 5, 'left');
+        if (!this.occupiedCells.has(cellKey) && this.rng.next() > 0.2) {
+          this.spawnBuilding(x, z + this.rng.next() * 5, 'left');
           this.occupiedCells.add(cellKey);
         }
       }
 
       // Right side buildings
       for (let row = 0; row < rowsPerSide; row++) {
-        const x = rightEdge + row * gridCellSize + Math.random() * 5;
+        const x = rightEdge + row * gridCellSize + this.rng.next() * 5;
         const cellKey = `${Math.floor(x / gridCellSize)}_${Math.floor(z / gridCellSize)}`;
 
-        if (!this.occupiedCells.has(cellKey) && Math.random() > 0.2) {
-          this.spawnBuilding(x, z + Math.random() * 5, 'right');
+        if (!this.occupiedCells.has(cellKey) && this.rng.next() > 0.2) {
+          this.spawnBuilding(x, z + this.rng.next() * 5, 'right');
           this.occupiedCells.add(cellKey);
         }
       }
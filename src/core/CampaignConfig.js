@@ -0,0 +1,96 @@
+/**
+ * CampaignConfig - Per-market campaign settings
+ *
+ * Loaded from JSON (assets/campaign.json, served at /campaign.json) so each
+ * market can change branding, copy and forms without touching code:
+ *
+ *   {
+ *     "id": "campaign-id",
+ *     "brand": { "name", "logo", "palette", "fonts", "car", "copy", "legal" },
+ *     "consent": { "text", "accept", "decline", "settings" },
+ *     "i18n": { "languages", "default" },
+ *     "embed": { "allowedOrigins" },
+ *     "analytics": { "sinks", "endpoint", "batchSize", "flushInterval" },
+ *     "lead": { "enabled", "transport", "endpoint", "copy", "fields", "consents" },
+ *     "markets": {
+ *       "uk": { "lead": { ...overrides } }
+ *     }
+ *   }
+ *
+ * The market comes from ?market= (or the constructor). Its overrides are
+ * merged over the base config: objects merge key by key, arrays (field and
+ * option lists) replace the base list.
+ *
+ * Copy (labels, messages, legal text) is normally an I18n key such as
+ * "lead.fields.email" so it follows the player's language; literal text
+ * works too and is shown as-is in every language.
+ */
+
+// Used when the config cannot be loaded: no lead form
+const FALLBACK_CAMPAIGN = {
+  id: 'default',
+  brand: {},
+  consent: {},
+  i18n: {},
+  embed: { allowedOrigins: [] },
+  analytics: {},
+  lead: { enabled: false, fields: [], consents: [], copy: {} }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge overrides into a copy of base (arrays are replaced, not merged)
+ */
+function merge(base, overrides) {
+  const result = { ...base };
+  Object.entries(overrides ?? {}).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  });
+  return result;
+}
+
+export class CampaignConfig {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Campaign JSON
+   * @param {string} options.market - Market key (defaults to ?market=)
+   */
+  constructor(options = {}) {
+    this.url = options.url || '/campaign.json';
+    this.market = options.market ?? new URLSearchParams(window.location.search).get('market');
+    this.config = FALLBACK_CAMPAIGN;
+  }
+
+  /**
+   * Fetch the config and apply the market's overrides (keeps the fallback on failure)
+   */
+  async load() {
+    try {
+      const response = await fetch(this.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { markets = {}, ...base } = await response.json();
+
+      if (this.market && !markets[this.market]) {
+        console.warn(`CampaignConfig: No overrides for market "${this.market}", using defaults`);
+      }
+      this.config = merge(merge(FALLBACK_CAMPAIGN, base), markets[this.market]);
+      console.log(`Campaign loaded: ${this.config.id}${this.market ? ` (${this.market})` : ''}`);
+    } catch (error) {
+      console.warn(`Failed to load campaign config (${this.url}), using defaults (no lead form)`, error);
+    }
+  }
+
+  /**
+   * A top-level section (e.g. 'lead')
+   */
+  get(section) {
+    return this.config[section];
+  }
+
+  getId() {
+    return this.config.id;
+  }
+}
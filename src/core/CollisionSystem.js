@@ -0,0 +1,343 @@
+import * as THREE from 'three';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+/**
+ * CollisionSystem - Lightweight car vs world collisions (no physics engine)
+ *
+ * Everything is tested as oriented boxes on the ground plane (XZ), which is
+ * all a road-bound car needs:
+ * - Static colliders (buildings, barriers) are bucketed in grid cells keyed
+ *   like AssetViewer.cellKey(), so a query only looks at nearby cells
+ * - Dynamic obstacles (traffic) come from a provider and are tested directly
+ *
+ * Events:
+ * - 'crash' { object, type, normal, depth, speed }  first frame of a contact
+ *   (type is 'static' or 'dynamic', normal points from the car to the object)
+ */
+
+/**
+ * OrientedBox - Box on the XZ plane with a yaw (same convention as rotation.y)
+ */
+export class OrientedBox {
+  constructor() {
+    this.center = new THREE.Vector3();
+    this.halfWidth = 0;   // Along local X
+    this.halfLength = 0;  // Along local Z
+    this.axisX = new THREE.Vector3(1, 0, 0);
+    this.axisZ = new THREE.Vector3(0, 0, 1);
+  }
+
+  /**
+   * @param {THREE.Vector3} center
+   * @param {number} halfWidth
+   * @param {number} halfLength
+   * @param {number} yaw - Rotation around Y (radians)
+   */
+  set(center, halfWidth, halfLength, yaw) {
+    this.center.set(center.x, 0, center.z);
+    this.halfWidth = halfWidth;
+    this.halfLength = halfLength;
+    this.axisX.set(Math.cos(yaw), 0, -Math.sin(yaw));
+    this.axisZ.set(Math.sin(yaw), 0, Math.cos(yaw));
+    return this;
+  }
+
+  /**
+   * Fit to a model-space bounding box placed at a world transform
+   * @param {THREE.Box3} localBox - Bounds in the object's local space
+   * @param {THREE.Vector3} position - World position
+   * @param {THREE.Quaternion} quaternion - World rotation
+   */
+  setFromBox(localBox, position, quaternion) {
+    localBox.getCenter(this.center).applyQuaternion(quaternion).add(position);
+    this.center.y = 0;
+    this.halfWidth = (localBox.max.x - localBox.min.x) / 2;
+    this.halfLength = (localBox.max.z - localBox.min.z) / 2;
+
+    // Flatten the local axes onto the ground plane
+    this.axisX.set(1, 0, 0).applyQuaternion(quaternion);
+    this.axisX.y = 0;
+    this.axisX.normalize();
+    this.axisZ.set(-this.axisX.z, 0, this.axisX.x);
+    return this;
+  }
+
+  /**
+   * Half size of the world-aligned box around this one
+   */
+  getExtents() {
+    return {
+      x: Math.abs(this.axisX.x) * this.halfWidth + Math.abs(this.axisZ.x) * this.halfLength,
+      z: Math.abs(this.axisX.z) * this.halfWidth + Math.abs(this.axisZ.z) * this.halfLength
+    };
+  }
+
+  /**
+   * Projected radius on an axis
+   */
+  projectRadius(axis) {
+    return this.halfWidth * Math.abs(this.axisX.dot(axis)) +
+      this.halfLength * Math.abs(this.axisZ.dot(axis));
+  }
+
+  /**
+   * Separating axis test against another box
+   * @param {OrientedBox} other
+   * @param {THREE.Vector3} normal - Receives the contact normal (this -> other)
+   * @returns {number} Penetration depth, or 0 if not touching
+   */
+  intersect(other, normal) {
+    const dx = other.center.x - this.center.x;
+    const dz = other.center.z - this.center.z;
+    let minDepth = Infinity;
+
+    for (const axis of [this.axisX, this.axisZ, other.axisX, other.axisZ]) {
+      const distance = dx * axis.x + dz * axis.z;
+      const depth = this.projectRadius(axis) + other.projectRadius(axis) - Math.abs(distance);
+      if (depth <= 0) return 0;
+
+      if (depth < minDepth) {
+        minDepth = depth;
+        normal.copy(axis).multiplyScalar(distance < 0 ? -1 : 1);
+      }
+    }
+
+    return minDepth;
+  }
+
+  /**
+   * Where a segment on the ground plane enters this box (slab test)
+   * @param {THREE.Vector3} from - Segment start
+   * @param {THREE.Vector3} to - Segment end
+   * @param {number} padding - Grow the box by this much on every side
+   * @returns {number} Entry fraction 0-1, or 1 if the segment misses or starts inside
+   */
+  raycast(from, to, padding = 0) {
+    const ox = from.x - this.center.x;
+    const oz = from.z - this.center.z;
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+
+    let enter = 0;
+    let exit = 1;
+    let inside = true;
+
+    for (const [axis, half] of [[this.axisX, this.halfWidth + padding], [this.axisZ, this.halfLength + padding]]) {
+      const origin = ox * axis.x + oz * axis.z;
+      const direction = dx * axis.x + dz * axis.z;
+      if (Math.abs(origin) > half) inside = false;
+
+      if (Math.abs(direction) < 1e-9) {
+        if (Math.abs(origin) > half) return 1;
+        continue;
+      }
+
+      let t1 = (-half - origin) / direction;
+      let t2 = (half - origin) / direction;
+      if (t1 > t2) [t1, t2] = [t2, t1];
+      enter = Math.max(enter, t1);
+      exit = Math.min(exit, t2);
+      if (enter > exit) return 1;
+    }
+
+    return inside ? 1 : enter;
+  }
+}
+
+export class CollisionSystem extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.cellSize - Broadphase cell size (world units)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.cellSize = options.cellSize ?? 2;
+
+    // cellKey -> Set of static colliders
+    this.cells = new Map();
+    // object -> { object, box, cells }
+    this.staticColliders = new Map();
+
+    // Returns [{ position, rotation, halfWidth, halfLength }]
+    this.dynamicProvider = null;
+
+    // Objects touched last frame (crash fires once per contact)
+    this.contacts = new Set();
+
+    // Scratch
+    this.dynamicBox = new OrientedBox();
+  }
+
+  /**
+   * Convert world position to grid cell key (same scheme as AssetViewer.cellKey)
+   */
+  cellKey(x, z) {
+    const gx = Math.round(x / this.cellSize);
+    const gz = Math.round(z / this.cellSize);
+    return `${gx},${gz}`;
+  }
+
+  /**
+   * Keys of every cell overlapped by a box
+   */
+  getCellsForBox(box) {
+    const extents = box.getExtents();
+    const minX = Math.round((box.center.x - extents.x) / this.cellSize);
+    const maxX = Math.round((box.center.x + extents.x) / this.cellSize);
+    const minZ = Math.round((box.center.z - extents.z) / this.cellSize);
+    const maxZ = Math.round((box.center.z + extents.z) / this.cellSize);
+
+    const keys = [];
+    for (let gx = minX; gx <= maxX; gx++) {
+      for (let gz = minZ; gz <= maxZ; gz++) {
+        keys.push(`${gx},${gz}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Register a static object
+   * @param {THREE.Object3D} object - Placed object (position and quaternion are read)
+   * @param {THREE.Box3} localBox - Its bounds in local space
+   */
+  addStatic(object, localBox) {
+    this.removeStatic(object);
+
+    const box = new OrientedBox().setFromBox(localBox, object.position, object.quaternion);
+    const collider = { object, box, cells: this.getCellsForBox(box) };
+
+    collider.cells.forEach(key => {
+      if (!this.cells.has(key)) {
+        this.cells.set(key, new Set());
+      }
+      this.cells.get(key).add(collider);
+    });
+
+    this.staticColliders.set(object, collider);
+    return collider;
+  }
+
+  /**
+   * Unregister a static object
+   */
+  removeStatic(object) {
+    const collider = this.staticColliders.get(object);
+    if (!collider) return;
+
+    collider.cells.forEach(key => {
+      const bucket = this.cells.get(key);
+      bucket?.delete(collider);
+      if (bucket?.size === 0) this.cells.delete(key);
+    });
+
+    this.staticColliders.delete(object);
+    this.contacts.delete(object);
+  }
+
+  /**
+   * Remove every static collider (road reset)
+   */
+  clearStatic() {
+    this.cells.clear();
+    this.staticColliders.clear();
+    this.contacts.clear();
+  }
+
+  /**
+   * Set the source of moving obstacles (traffic)
+   * @param {Function} provider - Returns [{ position, rotation, halfWidth, halfLength }]
+   */
+  setDynamicProvider(provider) {
+    this.dynamicProvider = provider;
+  }
+
+  /**
+   * Find everything overlapping a box and emit 'crash' for new contacts
+   * @param {OrientedBox} box - Car box
+   * @param {number} speed - Car speed, passed through to crash listeners
+   * @returns {Object[]} Hits [{ object, type, normal, depth }]
+   */
+  check(box, speed = 0) {
+    const hits = [];
+
+    // Broadphase: static colliders in the cells under the box
+    const candidates = new Set();
+    this.getCellsForBox(box).forEach(key => {
+      this.cells.get(key)?.forEach(collider => candidates.add(collider));
+    });
+
+    candidates.forEach(collider => {
+      const normal = new THREE.Vector3();
+      const depth = box.intersect(collider.box, normal);
+      if (depth > 0) {
+        hits.push({ object: collider.object, type: 'static', normal, depth });
+      }
+    });
+
+    // Dynamic obstacles are few, test them all
+    if (this.dynamicProvider) {
+      for (const obstacle of this.dynamicProvider()) {
+        this.dynamicBox.set(obstacle.position, obstacle.halfWidth, obstacle.halfLength, obstacle.rotation.y);
+        const normal = new THREE.Vector3();
+        const depth = box.intersect(this.dynamicBox, normal);
+        if (depth > 0) {
+          hits.push({ object: obstacle, type: 'dynamic', normal, depth });
+        }
+      }
+    }
+
+    // Crash once per contact, not every frame while touching
+    const touching = new Set();
+    hits.forEach(hit => {
+      touching.add(hit.object);
+      if (!this.contacts.has(hit.object)) {
+        this.emit('crash', { ...hit, speed });
+      }
+    });
+    this.contacts = touching;
+
+    return hits;
+  }
+
+  /**
+   * How far a segment gets before entering a static collider (ground plane).
+   * Used to keep the camera in front of facades.
+   * @param {THREE.Vector3} from - Segment start (colliders it starts inside are ignored)
+   * @param {THREE.Vector3} to - Segment end
+   * @param {number} padding - Grow colliders by this much
+   * @returns {number} Clear fraction of the segment (1 = unobstructed)
+   */
+  raycastStatic(from, to, padding = 0) {
+    // Broadphase: cells under the segment's bounds
+    const minX = Math.round((Math.min(from.x, to.x) - padding) / this.cellSize);
+    const maxX = Math.round((Math.max(from.x, to.x) + padding) / this.cellSize);
+    const minZ = Math.round((Math.min(from.z, to.z) - padding) / this.cellSize);
+    const maxZ = Math.round((Math.max(from.z, to.z) + padding) / this.cellSize);
+
+    const candidates = new Set();
+    for (let gx = minX; gx <= maxX; gx++) {
+      for (let gz = minZ; gz <= maxZ; gz++) {
+        this.cells.get(`${gx},${gz}`)?.forEach(collider => candidates.add(collider));
+      }
+    }
+
+    let clear = 1;
+    candidates.forEach(collider => {
+      clear = Math.min(clear, collider.box.raycast(from, to, padding));
+    });
+    return clear;
+  }
+
+  /**
+   * Get collider statistics for debugging
+   */
+  getStats() {
+    return {
+      staticColliders: this.staticColliders.size,
+      cells: this.cells.size,
+      contacts: this.contacts.size
+    };
+  }
+}
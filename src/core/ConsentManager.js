@@ -0,0 +1,86 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+/**
+ * ConsentManager - The player's tracking choices, persisted in localStorage
+ *
+ * Purposes start undecided (treated as denied) until the player answers the
+ * consent banner. Systems that need consent check has() before doing
+ * anything and listen for 'change' to start or stop.
+ *
+ * Stored choices carry a version: bumping CONSENT_VERSION (e.g. when the
+ * data collected changes) asks everyone again.
+ *
+ * Events: 'change' ({ purpose, granted })
+ */
+
+export const CONSENT_VERSION = 1;
+export const CONSENT_PURPOSES = ['analytics'];
+
+export class ConsentManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for the choices
+   */
+  constructor(options = {}) {
+    super();
+    this.storageKey = options.storageKey || 'hyundai_n_consent';
+    this.choices = this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      if (stored?.version === CONSENT_VERSION && stored.purposes) return stored;
+    } catch (e) {
+      console.warn('Failed to load consent choices');
+    }
+    return { version: CONSENT_VERSION, purposes: {} };
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.choices));
+    } catch (e) {
+      console.warn('Failed to save consent choices');
+    }
+  }
+
+  /**
+   * Has the player granted this purpose?
+   */
+  has(purpose) {
+    return this.choices.purposes[purpose]?.granted === true;
+  }
+
+  /**
+   * Has the player answered for every purpose?
+   */
+  isDecided() {
+    return CONSENT_PURPOSES.every(purpose => this.choices.purposes[purpose] !== undefined);
+  }
+
+  /**
+   * Record a choice
+   * @param {string} purpose - One of CONSENT_PURPOSES
+   * @param {boolean} granted
+   */
+  set(purpose, granted) {
+    if (!CONSENT_PURPOSES.includes(purpose)) {
+      console.warn(`Unknown consent purpose "${purpose}". Options: ${CONSENT_PURPOSES.join(', ')}`);
+      return;
+    }
+
+    const changed = this.has(purpose) !== granted || this.choices.purposes[purpose] === undefined;
+    this.choices.purposes[purpose] = { granted, at: new Date().toISOString() };
+    this.save();
+    if (changed) this.emit('change', { purpose, granted });
+  }
+
+  grantAll() {
+    CONSENT_PURPOSES.forEach(purpose => this.set(purpose, true));
+  }
+
+  denyAll() {
+    CONSENT_PURPOSES.forEach(purpose => this.set(purpose, false));
+  }
+}
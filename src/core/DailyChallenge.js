@@ -0,0 +1,78 @@
+import { Random } from '../utils/Random.js';
+
+/**
+ * DailyChallenge - "Daily Drive" seed, fixed rules and local best
+ *
+ * Everyone gets the same road and city for a UTC day: the seed is derived
+ * from the date, and the run rules below are fixed so scores compare fairly.
+ * The player's best score for the day is kept in localStorage and shown as
+ * the target to beat; a new day starts with no target.
+ */
+
+// Fixed run rules (world units, difficulty 0-1)
+export const DAILY_RULES = {
+  startSpeed: 4,          // Car rolls off the line at this speed
+  trafficDifficulty: 0.5  // Constant traffic density (no ramp-up)
+};
+
+export class DailyChallenge {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for the day's best
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'hyundai_n_daily';
+    this.rules = { ...DAILY_RULES };
+  }
+
+  /**
+   * UTC date key, e.g. "2026-10-19"
+   * @param {Date} date
+   */
+  static getDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Seed for a day (same for every player)
+   * @param {string} dateKey
+   */
+  getSeed(dateKey = DailyChallenge.getDateKey()) {
+    return Random.parseSeed(`daily:${dateKey}`);
+  }
+
+  /**
+   * Best score stored for a day, or null
+   * @param {string} dateKey
+   */
+  getBest(dateKey = DailyChallenge.getDateKey()) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return stored?.date === dateKey ? stored.score : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Record a finished run, keeping the best score of the day
+   * @param {number} score
+   * @param {string} dateKey - Day the run was started (a run may cross midnight)
+   * @returns {Object} { best, previousBest, isNewBest }
+   */
+  submitScore(score, dateKey = DailyChallenge.getDateKey()) {
+    const previousBest = this.getBest(dateKey);
+    const isNewBest = previousBest === null || score > previousBest;
+
+    if (isNewBest) {
+      try {
+        // Only today's entry is kept; older days are overwritten
+        localStorage.setItem(this.storageKey, JSON.stringify({ date: dateKey, score }));
+      } catch (e) {
+        console.warn('Failed to save daily best');
+      }
+    }
+
+    return { best: isNewBest ? score : previousBest, previousBest, isNewBest };
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * EmbedBridge - postMessage API for pages that embed the game in an iframe
+ *
+ * Every message in either direction is a versioned envelope:
+ *
+ *   host -> game  { protocol: 'hyundai-n-game', version: 1, type: 'command',
+ *                   command, payload, id }
+ *   game -> host  { protocol, version, type: 'event', event, payload }
+ *                 { protocol, version, type: 'response', id, ok, payload | error }
+ *
+ * Commands (EMBED_COMMANDS) run the handlers given to the constructor; a
+ * handler's return value is the response payload, a thrown error becomes
+ * { ok: false, error }. 'hello' is built in and answers with the ready
+ * payload, for hosts that load their script after the game.
+ *
+ * Only allow-listed origins are listened to and posted to ('*' allows any;
+ * the game's own origin always is). Events go to the embedding page's
+ * origin (from document.referrer), or to the first allowed origin that
+ * sends a command. Commands are ignored until ready().
+ */
+
+export const EMBED_PROTOCOL = 'hyundai-n-game';
+export const EMBED_PROTOCOL_VERSION = 1;
+
+export const EMBED_COMMANDS = ['hello', 'start', 'pause', 'resume', 'mute', 'setSeed'];
+export const EMBED_EVENTS = ['ready', 'progress', 'score', 'runEnd', 'leadSubmitted'];
+
+export class EmbedBridge {
+  /**
+   * @param {Object} handlers - Command callbacks keyed by command name, called with the payload
+   * @param {Object} options
+   * @param {string[]} options.allowedOrigins - Host origins ('*' for any)
+   */
+  constructor(handlers = {}, options = {}) {
+    this.handlers = handlers;
+    this.allowedOrigins = options.allowedOrigins ?? [];
+    this.isReady = false;
+    this.readyPayload = null;
+    this.hostOrigin = null;
+    this.host = window.parent !== window ? window.parent : null;
+
+    if (!this.host) {
+      console.warn('EmbedBridge: Not inside an iframe, host API inactive');
+      return;
+    }
+
+    window.addEventListener('message', (e) => this.onMessage(e));
+  }
+
+  /**
+   * Replace the origin allow-list (e.g. once the campaign config has loaded)
+   */
+  setAllowedOrigins(origins) {
+    this.allowedOrigins = origins ?? [];
+  }
+
+  isAllowedOrigin(origin) {
+    return origin === window.location.origin ||
+      this.allowedOrigins.includes('*') ||
+      this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Start accepting commands and announce the game to the host
+   * @param {Object} payload - Sent with the 'ready' event (protocol details are added)
+   */
+  ready(payload = {}) {
+    this.isReady = true;
+    this.readyPayload = {
+      ...payload,
+      version: EMBED_PROTOCOL_VERSION,
+      commands: EMBED_COMMANDS,
+      events: EMBED_EVENTS
+    };
+
+    // The embedding page, if the referrer tells us who it is
+    if (!this.hostOrigin && document.referrer) {
+      const origin = new URL(document.referrer).origin;
+      if (this.isAllowedOrigin(origin)) this.hostOrigin = origin;
+    }
+
+    this.post('ready', this.readyPayload);
+  }
+
+  /**
+   * Send an event to the host (dropped until the host origin is known)
+   * @param {string} event - One of EMBED_EVENTS
+   * @param {Object} payload
+   */
+  post(event, payload = {}) {
+    if (!EMBED_EVENTS.includes(event)) {
+      console.warn(`EmbedBridge: Unknown event "${event}"`);
+      return;
+    }
+    this.send({ type: 'event', event, payload });
+  }
+
+  send(message) {
+    if (!this.host || !this.hostOrigin) return;
+    this.host.postMessage({ protocol: EMBED_PROTOCOL, version: EMBED_PROTOCOL_VERSION, ...message }, this.hostOrigin);
+  }
+
+  async onMessage(e) {
+    const message = e.data;
+    if (e.source !== this.host || message?.protocol !== EMBED_PROTOCOL || message.type !== 'command') return;
+    if (!this.isReady) return;
+
+    if (!this.isAllowedOrigin(e.origin)) {
+      console.warn(`EmbedBridge: Ignored command from ${e.origin} (not allow-listed)`);
+      return;
+    }
+    this.hostOrigin ??= e.origin;
+
+    const respond = (ok, result) => {
+      if (message.id === undefined) return;
+      this.send(ok
+        ? { type: 'response', id: message.id, ok, payload: result ?? {} }
+        : { type: 'response', id: message.id, ok, error: result });
+    };
+
+    if (message.version !== EMBED_PROTOCOL_VERSION) {
+      respond(false, `Unsupported protocol version ${message.version} (game speaks ${EMBED_PROTOCOL_VERSION})`);
+      return;
+    }
+
+    const { command, payload = {} } = message;
+    if (command === 'hello') {
+      respond(true, this.readyPayload);
+      this.post('ready', this.readyPayload);
+      return;
+    }
+
+    const handler = EMBED_COMMANDS.includes(command) ? this.handlers[command] : null;
+    if (!handler) {
+      respond(false, `Unknown command "${command}"`);
+      return;
+    }
+
+    try {
+      respond(true, await handler(payload));
+    } catch (error) {
+      respond(false, error.message);
+    }
+  }
+}
@@ -0,0 +1,341 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+/**
+ * I18n - UI strings, plurals, number and unit formatting, text direction
+ *
+ * Strings live in JSON locale bundles (assets/locales/<language>.json,
+ * served at /locales/<language>.json) as nested objects addressed by
+ * dotted keys:
+ *
+ *   {
+ *     "meta": { "extends": "en", "dir": "rtl", "units": "imperial" },
+ *     "results": { "title": "RESULTS" },
+ *     "hud": { "nearMiss": "NEAR MISS +{points}" },
+ *     "garage": { "cars": { "one": "{count} car", "other": "{count} cars" } }
+ *   }
+ *
+ * - {name} placeholders are filled from params (numbers are localised)
+ * - An object with plural categories is picked with params.count
+ *   (Intl.PluralRules: zero, one, two, few, many, other)
+ * - meta.extends chains bundles (en-US only overrides what differs from en);
+ *   the fallback language (en) is always last in the chain
+ * - A key that no bundle has is returned as-is (after filling placeholders),
+ *   so campaign config text can be a key or literal copy
+ *
+ * The language is picked from ?lang=, the player's saved choice, then
+ * navigator.languages (exact, then base language), then the campaign
+ * default. Units follow the language (meta.units) unless overridden.
+ *
+ * Shared instance: import { i18n, t } and listen for 'change' ({ language })
+ * to refresh text after a switch.
+ */
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const KM_PER_MILE = 1.609344;
+const METERS_PER_YARD = 0.9144;
+const YARDS_PER_MILE = 1760;
+
+export class I18n extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Folder with the locale bundles
+   * @param {string} options.fallback - Language every bundle falls back to
+   * @param {string} options.storageKey - localStorage key for the player's language and units
+   */
+  constructor(options = {}) {
+    super();
+    this.url = options.url || '/locales';
+    this.fallback = options.fallback || 'en';
+    this.storageKey = options.storageKey || 'hyundai_n_locale';
+
+    this.languages = [this.fallback];   // Offered in the language picker
+    this.defaultLanguage = this.fallback;
+    this.language = this.fallback;
+    this.bundles = new Map();           // Loaded bundles by language
+    this.chain = [];                    // Bundles consulted by t(), most specific first
+    this.settings = this.load();
+    this.pluralRules = null;
+    this.numberFormats = new Map();     // Intl.NumberFormat by options (the HUD formats every frame)
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return { language: stored?.language ?? null, units: stored?.units ?? null };
+    } catch (e) {
+      console.warn('Failed to load language settings');
+      return { language: null, units: null };
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    } catch (e) {
+      console.warn('Failed to save language settings');
+    }
+  }
+
+  /**
+   * Languages on offer (from the campaign config)
+   * @param {Object} config - { languages: ['en', 'de', ...], default: 'en' }
+   */
+  configure(config = {}) {
+    if (Array.isArray(config.languages) && config.languages.length > 0) {
+      this.languages = config.languages;
+    }
+    this.defaultLanguage = this.languages.includes(config.default) ? config.default : this.languages[0];
+  }
+
+  /**
+   * Best language for this player (see class comment for the order)
+   */
+  detect() {
+    const candidates = [
+      new URLSearchParams(window.location.search).get('lang'),
+      this.settings.language,
+      ...(navigator.languages ?? [navigator.language])
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const match = this.match(candidate);
+      if (match) return match;
+    }
+    return this.defaultLanguage;
+  }
+
+  /**
+   * Offered language for a tag: exact (case-insensitive), then its base language
+   */
+  match(tag) {
+    const lower = tag.toLowerCase();
+    const base = lower.split('-')[0];
+    return this.languages.find(language => language.toLowerCase() === lower) ??
+      this.languages.find(language => language.toLowerCase() === base) ??
+      null;
+  }
+
+  /**
+   * Fetch a bundle and everything it extends (cached)
+   */
+  async loadBundle(language) {
+    if (this.bundles.has(language)) return this.bundles.get(language);
+
+    let bundle = {};
+    try {
+      const response = await fetch(`${this.url}/${language}.json`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      bundle = await response.json();
+    } catch (error) {
+      console.warn(`Failed to load locale "${language}"`, error);
+    }
+
+    this.bundles.set(language, bundle);
+    return bundle;
+  }
+
+  /**
+   * Switch language (loads its bundles, updates <html lang dir>, emits 'change')
+   * @param {string} language - One of the configured languages
+   * @param {Object} options
+   * @param {boolean} options.remember - Save as the player's choice
+   */
+  async setLanguage(language, { remember = false } = {}) {
+    const match = this.match(language);
+    if (!match) {
+      console.warn(`Unknown language "${language}". Options: ${this.languages.join(', ')}`);
+      return;
+    }
+
+    // Most specific first, following meta.extends, fallback last
+    const chain = [];
+    let next = match;
+    while (next && !chain.some(entry => entry.language === next)) {
+      const bundle = await this.loadBundle(next);
+      chain.push({ language: next, bundle });
+      next = bundle.meta?.extends ?? (next !== this.fallback ? this.fallback : null);
+    }
+
+    this.language = match;
+    this.chain = chain.map(entry => entry.bundle);
+    this.pluralRules = new Intl.PluralRules(match);
+    this.numberFormats.clear();
+
+    if (remember) {
+      this.settings.language = match;
+      this.save();
+    }
+
+    document.documentElement.lang = match;
+    document.documentElement.dir = this.getDirection();
+    this.emit('change', { language: match });
+  }
+
+  getLanguage() {
+    return this.language;
+  }
+
+  /**
+   * Picker entries, each named in its own language
+   * @returns {Object[]} [{ code, name }]
+   */
+  getLanguages() {
+    return this.languages.map(code => {
+      let name = code;
+      try {
+        name = new Intl.DisplayNames([code], { type: 'language' }).of(code) ?? code;
+      } catch (e) {
+        // Older browsers: show the code
+      }
+      return { code, name };
+    });
+  }
+
+  /**
+   * First meta value along the bundle chain
+   */
+  getMeta(key) {
+    for (const bundle of this.chain) {
+      if (bundle.meta?.[key] !== undefined) return bundle.meta[key];
+    }
+    return undefined;
+  }
+
+  getDirection() {
+    return this.getMeta('dir') ?? (RTL_LANGUAGES.includes(this.language.split('-')[0]) ? 'rtl' : 'ltr');
+  }
+
+  // ============================================
+  // STRINGS
+  // ============================================
+
+  lookup(key) {
+    for (const bundle of this.chain) {
+      const value = key.split('.').reduce((node, part) => node?.[part], bundle);
+      if (value !== undefined && value !== null) return value;
+    }
+    return undefined;
+  }
+
+  has(key) {
+    return typeof key === 'string' && this.lookup(key) !== undefined;
+  }
+
+  /**
+   * Translate a key
+   * @param {string} key - Dotted key, or literal text
+   * @param {Object} params - Placeholder values; count picks the plural form
+   * @returns {string}
+   */
+  t(key, params = {}) {
+    if (typeof key !== 'string') return '';
+
+    let value = this.lookup(key) ?? key;
+    if (typeof value === 'object') {
+      const category = typeof params.count === 'number' ? this.pluralRules?.select(params.count) : 'other';
+      value = value[category] ?? value.other ?? key;
+    }
+
+    return String(value).replace(/\{(\w+)\}/g, (match, name) => {
+      const param = params[name];
+      if (param === undefined || param === null) return match;
+      return typeof param === 'number' ? this.formatNumber(param) : String(param);
+    });
+  }
+
+  /**
+   * Fill data-i18n elements (textContent) and data-i18n-attr ones ("attr=key;attr=key")
+   * @param {ParentNode} root
+   */
+  apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split('=').map(part => part.trim());
+        if (attribute && key) element.setAttribute(attribute, this.t(key));
+      });
+    });
+  }
+
+  // ============================================
+  // NUMBERS AND UNITS
+  // ============================================
+
+  formatNumber(value, options = {}) {
+    const key = JSON.stringify(options);
+    if (!this.numberFormats.has(key)) {
+      this.numberFormats.set(key, new Intl.NumberFormat(this.language, options));
+    }
+    return this.numberFormats.get(key).format(value);
+  }
+
+  /**
+   * 'metric' or 'imperial': the player's override, else the language's
+   */
+  getUnits() {
+    return this.settings.units ?? this.getMeta('units') ?? 'metric';
+  }
+
+  /**
+   * Override the language's units (null to follow the language again)
+   */
+  setUnits(units) {
+    this.settings.units = units === 'metric' || units === 'imperial' ? units : null;
+    this.save();
+    this.emit('change', { language: this.language });
+  }
+
+  /**
+   * Speed in display units (km/h or mph)
+   */
+  convertSpeed(kmh) {
+    return this.getUnits() === 'imperial' ? kmh / KM_PER_MILE : kmh;
+  }
+
+  speedUnit() {
+    return this.t(this.getUnits() === 'imperial' ? 'units.mph' : 'units.kmh');
+  }
+
+  /**
+   * e.g. "182 km/h" or "113 mph"
+   */
+  formatSpeed(kmh) {
+    return `${this.formatNumber(Math.round(this.convertSpeed(kmh)))} ${this.speedUnit()}`;
+  }
+
+  /**
+   * e.g. "850 m", "1.25 km", "930 yd", "1.25 mi"
+   * @param {number} meters
+   * @param {Object} options
+   * @param {boolean} options.long - Switch to km/mi past 1000 m / 1760 yd
+   */
+  formatDistance(meters, { long = true } = {}) {
+    const imperial = this.getUnits() === 'imperial';
+    const short = imperial ? meters / METERS_PER_YARD : meters;
+    const limit = imperial ? YARDS_PER_MILE : 1000;
+
+    if (long && short >= limit) {
+      const value = this.formatNumber(short / limit, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      return `${value} ${this.t(imperial ? 'units.mi' : 'units.km')}`;
+    }
+    return `${this.formatNumber(Math.round(short))} ${this.t(imperial ? 'units.yd' : 'units.m')}`;
+  }
+
+  /**
+   * e.g. "12.3 s"
+   */
+  formatSeconds(seconds, digits = 1) {
+    const value = this.formatNumber(seconds, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    return `${value} ${this.t('units.s')}`;
+  }
+}
+
+// Shared by the UI modules
+export const i18n = new I18n();
+
+export function t(key, params) {
+  return i18n.t(key, params);
+}
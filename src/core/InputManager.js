@@ -0,0 +1,417 @@
+/**
+ * InputManager - Maps physical inputs to named actions
+ *
+ * Sources:
+ * - Keyboard: { key: 'KeyW' }, optional modifiers { key: 'KeyZ', ctrl: true }
+ * - Gamepad (standard mapping): { button: 7 } (analog triggers report 0-1),
+ *   { axis: 0 } (sticks report -1 to 1, with deadzone)
+ * - Touch: { touch: 'accelerate' } reads a TouchControls zone
+ *
+ * Any binding can carry a scale, e.g. { key: 'KeyA', scale: -1 } for the
+ * left half of the steer axis. An action's value is the sum of its bound
+ * inputs, clamped to -1..1, so keys, triggers and sticks can be mixed.
+ *
+ * Bindings are user-rebindable and persisted to localStorage.
+ */
+
+// Default bindings for the driving game
+export const GAME_BINDINGS = {
+  accelerate: [{ key: 'ArrowUp' }, { key: 'KeyW' }, { button: 7 }, { touch: 'accelerate' }],
+  brake: [{ key: 'ArrowDown' }, { key: 'KeyS' }, { button: 6 }, { touch: 'brake' }],
+  handbrake: [{ key: 'Space' }, { button: 1 }, { touch: 'handbrake' }],
+  boost: [{ key: 'KeyN' }, { button: 2 }, { touch: 'boost' }],
+  shiftUp: [{ key: 'KeyE' }, { button: 5 }],
+  shiftDown: [{ key: 'KeyQ' }, { button: 4 }],
+  toggleTransmission: [{ key: 'KeyT' }],
+  eShift: [{ key: 'KeyX' }],
+  activeSound: [{ key: 'KeyV' }],
+  steer: [
+    { key: 'ArrowLeft', scale: -1 },
+    { key: 'KeyA', scale: -1 },
+    { key: 'ArrowRight' },
+    { key: 'KeyD' },
+    { axis: 0 },
+    { button: 14, scale: -1 }, // D-pad left
+    { button: 15 },            // D-pad right
+    { touch: 'left', scale: -1 },
+    { touch: 'right' }
+  ],
+  toggleCamera: [{ key: 'KeyC' }, { button: 3 }, { touch: 'camera' }],
+  photo: [{ key: 'KeyF' }],
+  pause: [{ key: 'Escape' }, { key: 'KeyP' }, { button: 9 }],
+  start: [{ key: 'Enter' }, { button: 0 }],
+  toggleGrid: [{ key: 'KeyG' }],
+  toggleUI: [{ key: 'KeyH' }],
+  pan: [{ key: 'Space' }]
+};
+
+const AXIS_DEADZONE = 0.15;
+const PRESS_THRESHOLD = 0.5;
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+export class InputManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bindings - Default bindings { action: [binding, ...] }
+   * @param {string} options.storageKey - localStorage key for user bindings
+   */
+  constructor(options = {}) {
+    this.defaultBindings = options.bindings || GAME_BINDINGS;
+    this.storageKey = options.storageKey || 'hyundai_n_bindings';
+    this.bindings = this.loadBindings();
+
+    // Raw device state
+    this.pressedKeys = new Set();
+    this.touchSource = null;
+
+    // Per-action values, plus the gamepad/touch share for edge detection
+    this.values = {};
+    this.deviceValues = {};
+    this.previousDeviceValues = {};
+
+    // Listeners: action -> [{ callback, repeat }]
+    this.pressListeners = new Map();
+    this.releaseListeners = new Map();
+
+    // Pending rebind capture
+    this.captureResolve = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+
+    document.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  // ============================================
+  // BINDINGS
+  // ============================================
+
+  /**
+   * Load user bindings from localStorage, falling back to defaults per action
+   */
+  loadBindings() {
+    const bindings = structuredClone(this.defaultBindings);
+
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const userBindings = JSON.parse(stored);
+        Object.keys(bindings).forEach(action => {
+          if (Array.isArray(userBindings[action])) {
+            bindings[action] = userBindings[action];
+          }
+        });
+      }
+    } catch (e) {
+      console.warn('Failed to load input bindings, using defaults');
+    }
+
+    return bindings;
+  }
+
+  /**
+   * Persist current bindings to localStorage
+   */
+  saveBindings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    } catch (e) {
+      console.warn('Failed to save input bindings');
+    }
+  }
+
+  /**
+   * Replace all bindings of an action
+   * @param {string} action
+   * @param {Array} bindings
+   */
+  setBindings(action, bindings) {
+    if (!(action in this.bindings)) {
+      console.warn(`InputManager: Unknown action "${action}"`);
+      return;
+    }
+    this.bindings[action] = bindings.map(b => ({ ...b }));
+    this.saveBindings();
+  }
+
+  /**
+   * Replace one binding of an action (or append if index is past the end)
+   * @param {string} action
+   * @param {Object} binding
+   * @param {number} index
+   */
+  rebind(action, binding, index = 0) {
+    if (!(action in this.bindings)) {
+      console.warn(`InputManager: Unknown action "${action}"`);
+      return;
+    }
+    const bindings = [...this.bindings[action]];
+    bindings[Math.min(index, bindings.length)] = { ...binding };
+    this.setBindings(action, bindings);
+  }
+
+  /**
+   * Restore default bindings and clear persisted ones
+   */
+  resetBindings() {
+    this.bindings = structuredClone(this.defaultBindings);
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (e) {
+      console.warn('Failed to clear saved input bindings');
+    }
+  }
+
+  /**
+   * Wait for the next key or gamepad button press and return it as a binding
+   * @returns {Promise<Object>} Binding descriptor
+   */
+  captureBinding() {
+    return new Promise(resolve => {
+      this.captureResolve = resolve;
+    });
+  }
+
+  /**
+   * Human-readable label for a binding
+   */
+  static describeBinding(binding) {
+    const sign = binding.scale < 0 ? '-' : '';
+    if (binding.key) {
+      const mods = [binding.ctrl && 'Ctrl', binding.shift && 'Shift', binding.alt && 'Alt'].filter(Boolean);
+      return [...mods, binding.key].join('+');
+    }
+    if (binding.button !== undefined) return `${sign}Pad Button ${binding.button}`;
+    if (binding.axis !== undefined) return `${sign}Pad Axis ${binding.axis}`;
+    if (binding.touch) return `${sign}Touch ${binding.touch}`;
+    return '?';
+  }
+
+  // ============================================
+  // SOURCES
+  // ============================================
+
+  /**
+   * Attach an on-screen touch source (TouchControls)
+   * @param {Object} source - Object with getInput() returning zone states
+   */
+  attachTouch(source) {
+    this.touchSource = source;
+  }
+
+  /**
+   * Ignore keys typed into form fields
+   */
+  isTextInput(target) {
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName) || target?.isContentEditable;
+  }
+
+  /**
+   * Check if a keyboard binding matches an event
+   * Ctrl and Alt must match exactly and Meta must be up, so browser shortcuts
+   * (Ctrl+R, Ctrl+P, Ctrl+=) still reach the browser; Shift is only checked
+   * when the binding asks for it (it may be held while driving).
+   */
+  matchesKey(binding, e) {
+    return binding.key === e.code &&
+      Boolean(binding.ctrl) === e.ctrlKey &&
+      Boolean(binding.alt) === e.altKey &&
+      !e.metaKey &&
+      (!binding.shift || e.shiftKey);
+  }
+
+  onKeyDown(e) {
+    if (this.isTextInput(e.target)) return;
+
+    if (this.captureResolve) {
+      if (MODIFIER_CODES.includes(e.code)) return;
+      e.preventDefault();
+      const binding = { key: e.code };
+      if (e.ctrlKey) binding.ctrl = true;
+      if (e.shiftKey) binding.shift = true;
+      if (e.altKey) binding.alt = true;
+      this.resolveCapture(binding);
+      return;
+    }
+
+    const isRepeat = e.repeat || this.pressedKeys.has(e.code);
+    this.pressedKeys.add(e.code);
+
+    for (const [action, bindings] of Object.entries(this.bindings)) {
+      if (!bindings.some(b => b.key && this.matchesKey(b, e))) continue;
+
+      e.preventDefault();
+      this.emit(this.pressListeners, action, isRepeat);
+    }
+  }
+
+  onKeyUp(e) {
+    this.pressedKeys.delete(e.code);
+
+    for (const [action, bindings] of Object.entries(this.bindings)) {
+      if (bindings.some(b => b.key === e.code)) {
+        this.emit(this.releaseListeners, action, false);
+      }
+    }
+  }
+
+  /**
+   * Release everything when the window loses focus (keyup never arrives)
+   */
+  onBlur() {
+    const held = Object.keys(this.bindings).filter(action =>
+      this.bindings[action].some(b => b.key && this.pressedKeys.has(b.key))
+    );
+    this.pressedKeys.clear();
+    held.forEach(action => this.emit(this.releaseListeners, action, false));
+  }
+
+  resolveCapture(binding) {
+    const resolve = this.captureResolve;
+    this.captureResolve = null;
+    resolve(binding);
+  }
+
+  /**
+   * Get the first connected gamepad
+   */
+  getGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const pad of pads) {
+      if (pad && pad.connected) return pad;
+    }
+    return null;
+  }
+
+  /**
+   * Read the raw value of one binding
+   */
+  readBinding(binding, gamepad, touch) {
+    let raw = 0;
+
+    if (binding.key) {
+      const modifiersHeld =
+        (!binding.ctrl || this.pressedKeys.has('ControlLeft') || this.pressedKeys.has('ControlRight')) &&
+        (!binding.shift || this.pressedKeys.has('ShiftLeft') || this.pressedKeys.has('ShiftRight')) &&
+        (!binding.alt || this.pressedKeys.has('AltLeft') || this.pressedKeys.has('AltRight'));
+      raw = this.pressedKeys.has(binding.key) && modifiersHeld ? 1 : 0;
+    } else if (binding.button !== undefined) {
+      raw = gamepad?.buttons[binding.button]?.value ?? 0;
+    } else if (binding.axis !== undefined) {
+      const value = gamepad?.axes[binding.axis] ?? 0;
+      // Rescale past the deadzone so small stick drift reads as 0
+      raw = Math.abs(value) < AXIS_DEADZONE
+        ? 0
+        : Math.sign(value) * (Math.abs(value) - AXIS_DEADZONE) / (1 - AXIS_DEADZONE);
+    } else if (binding.touch) {
+      raw = touch?.[binding.touch] ? 1 : 0;
+    }
+
+    return raw * (binding.scale ?? 1);
+  }
+
+  // ============================================
+  // POLLING
+  // ============================================
+
+  /**
+   * Poll gamepad and touch, recompute action values (call once per frame)
+   */
+  update() {
+    const gamepad = this.getGamepad();
+    const touch = this.touchSource?.getInput();
+
+    // Gamepad button capture for rebinding
+    if (this.captureResolve && gamepad) {
+      const index = gamepad.buttons.findIndex(b => b.pressed);
+      if (index !== -1) this.resolveCapture({ button: index });
+    }
+
+    this.previousDeviceValues = this.deviceValues;
+    this.deviceValues = {};
+    this.values = {};
+
+    for (const [action, bindings] of Object.entries(this.bindings)) {
+      let keyboard = 0;
+      let device = 0;
+      for (const binding of bindings) {
+        const value = this.readBinding(binding, gamepad, touch);
+        if (binding.key) keyboard += value;
+        else device += value;
+      }
+      this.deviceValues[action] = device;
+      this.values[action] = Math.max(-1, Math.min(1, keyboard + device));
+    }
+
+    // Fire press/release for gamepad and touch (keyboard fires from events)
+    for (const action of Object.keys(this.bindings)) {
+      const wasDown = Math.abs(this.previousDeviceValues[action] ?? 0) >= PRESS_THRESHOLD;
+      const isDown = Math.abs(this.deviceValues[action]) >= PRESS_THRESHOLD;
+      if (wasDown === isDown) continue;
+
+      this.emit(isDown ? this.pressListeners : this.releaseListeners, action, false);
+    }
+  }
+
+  /**
+   * Current value of an action (-1 to 1; buttons and triggers 0 to 1)
+   */
+  getValue(action) {
+    return this.values[action] ?? 0;
+  }
+
+  /**
+   * Whether an action is currently held
+   */
+  isDown(action) {
+    return Math.abs(this.getValue(action)) >= PRESS_THRESHOLD;
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Call back when an action is pressed
+   * @param {string} action
+   * @param {Function} callback
+   * @param {Object} options - { repeat: true } to also fire on key auto-repeat
+   */
+  onPress(action, callback, options = {}) {
+    this.addListener(this.pressListeners, action, callback, options.repeat ?? false);
+  }
+
+  /**
+   * Call back when an action is released
+   */
+  onRelease(action, callback) {
+    this.addListener(this.releaseListeners, action, callback, false);
+  }
+
+  addListener(listeners, action, callback, repeat) {
+    if (!listeners.has(action)) listeners.set(action, []);
+    listeners.get(action).push({ callback, repeat });
+  }
+
+  emit(listeners, action, isRepeat) {
+    const list = listeners.get(action);
+    if (!list) return;
+    list.forEach(({ callback, repeat }) => {
+      if (!isRepeat || repeat) callback(action);
+    });
+  }
+
+  /**
+   * Remove DOM listeners
+   */
+  dispose() {
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onBlur);
+    this.pressListeners.clear();
+    this.releaseListeners.clear();
+  }
+}
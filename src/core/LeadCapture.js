@@ -0,0 +1,282 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { t, i18n } from './I18n.js';
+
+/**
+ * LeadCapture - Post-run contact form logic (validation, sending, offline queue)
+ *
+ * Fields, consents and copy come from the campaign config's "lead" section:
+ *
+ *   fields:   [{ name, type: 'text'|'email'|'select'|'checkbox', label,
+ *                required, maxLength, options: [{ value, label }] }]
+ *   consents: [{ name, label, required }]
+ *   copy:     { ..., errors: { required, email, maxLength, consent } }
+ *
+ * Labels and copy are I18n keys (or literal text), translated when shown.
+ *
+ * Leads are sent through a pluggable transport: any object with an async
+ * send(lead). LEAD_TRANSPORTS holds the built-in ones, picked by the
+ * config's "transport" name. A send that fails while offline or with a
+ * retryable error (network, 5xx) is queued in localStorage and flushed
+ * when the browser comes back online or on the next visit.
+ *
+ * Events: 'sent' (lead), 'queued' (lead), 'rejected' ({ lead, error })
+ */
+
+// Loose on purpose: the server does the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error from a transport; retryable errors keep the lead queued
+ */
+function transportError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+export const LEAD_TRANSPORTS = {
+  /**
+   * POST the lead as JSON to config.endpoint
+   */
+  fetch: (config) => ({
+    async send(lead) {
+      let response;
+      try {
+        response = await fetch(config.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(lead)
+        });
+      } catch (error) {
+        throw transportError(`Network error: ${error.message}`, true);
+      }
+      if (!response.ok) {
+        throw transportError(`HTTP ${response.status}`, response.status >= 500 || response.status === 429);
+      }
+    }
+  }),
+
+  /**
+   * Log the lead and pretend it was sent (demos and local testing)
+   */
+  mock: () => ({
+    async send(lead) {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      console.log('LeadCapture (mock transport):', lead);
+    }
+  })
+};
+
+export class LeadCapture extends EventEmitter {
+  /**
+   * @param {Object} config - Campaign "lead" section
+   * @param {Object} options
+   * @param {Object} options.transport - { send(lead) }, overrides config.transport
+   * @param {string} options.campaignId - Stamped on every lead
+   * @param {string} options.market - Stamped on every lead
+   * @param {string} options.storageKey - localStorage key for the offline queue
+   */
+  constructor(config, options = {}) {
+    super();
+    this.config = config;
+    this.fields = config.fields ?? [];
+    this.consents = config.consents ?? [];
+    this.copy = config.copy ?? {};
+    this.campaignId = options.campaignId ?? null;
+    this.market = options.market ?? null;
+    this.storageKey = options.storageKey || 'hyundai_n_leads';
+
+    this.transport = options.transport ?? this.createTransport(config.transport);
+    this.queue = this.load();
+    this.isFlushing = false;
+
+    window.addEventListener('online', () => this.flush());
+  }
+
+  /**
+   * Build a transport from LEAD_TRANSPORTS (mock if the name is unknown)
+   */
+  createTransport(name) {
+    const factory = LEAD_TRANSPORTS[name];
+    if (!factory) {
+      console.warn(`LeadCapture: Unknown transport "${name}", using mock. Options: ${Object.keys(LEAD_TRANSPORTS).join(', ')}`);
+      return LEAD_TRANSPORTS.mock(this.config);
+    }
+    return factory(this.config);
+  }
+
+  /**
+   * Swap the transport (e.g. a CRM SDK wrapper)
+   * @param {Object} transport - { send(lead) }
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  isEnabled() {
+    return Boolean(this.config.enabled) && this.fields.length > 0;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.warn('Failed to load queued leads');
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+    } catch (e) {
+      console.warn('Failed to save queued leads');
+    }
+  }
+
+  /**
+   * Error message from the campaign copy, in the player's language ({label} is replaced)
+   */
+  getErrorText(kind, label) {
+    return t(this.copy.errors?.[kind] ?? 'lead.errors.invalid', { label: t(label) });
+  }
+
+  /**
+   * Check form values against the field and consent rules
+   * @param {Object} values - Keyed by field/consent name (strings, checkboxes as booleans)
+   * @returns {Object} Error messages keyed by name (empty when valid)
+   */
+  validate(values) {
+    const errors = {};
+
+    this.fields.forEach(field => {
+      const value = values[field.name];
+      const text = typeof value === 'string' ? value.trim() : value;
+
+      if (field.required && !text) {
+        errors[field.name] = this.getErrorText('required', field.label);
+      } else if (typeof text === 'string' && field.maxLength && text.length > field.maxLength) {
+        errors[field.name] = this.getErrorText('maxLength', field.label);
+      } else if (field.type === 'email' && text && !EMAIL_PATTERN.test(text)) {
+        errors[field.name] = this.getErrorText('email', field.label);
+      } else if (field.type === 'select' && text && !field.options?.some(option => option.value === text)) {
+        errors[field.name] = this.getErrorText('required', field.label);
+      }
+    });
+
+    this.consents.forEach(consent => {
+      if (consent.required && values[consent.name] !== true) {
+        errors[consent.name] = this.getErrorText('consent', consent.label);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate and send a lead, queueing it if it cannot be sent now
+   * @param {Object} values - Form values (see validate)
+   * @param {Object} context - Extra data sent along (e.g. run score and vehicle)
+   * @returns {Promise<Object>} { status: 'sent'|'queued'|'invalid'|'failed', errors }
+   */
+  async submit(values, context = {}) {
+    const errors = this.validate(values);
+    if (Object.keys(errors).length > 0) return { status: 'invalid', errors };
+
+    const lead = this.createLead(values, context);
+
+    if (navigator.onLine === false) {
+      this.enqueue(lead);
+      return { status: 'queued' };
+    }
+
+    try {
+      await this.transport.send(lead);
+      this.emit('sent', lead);
+      // Good moment to send anything left over from earlier
+      this.flush();
+      return { status: 'sent' };
+    } catch (error) {
+      if (error.retryable !== false) {
+        console.warn('LeadCapture: Send failed, queued for later', error);
+        this.enqueue(lead);
+        return { status: 'queued' };
+      }
+      console.warn('LeadCapture: Lead rejected', error);
+      this.emit('rejected', { lead, error });
+      return { status: 'failed' };
+    }
+  }
+
+  /**
+   * Lead payload: trimmed field values, consents with a timestamp, context
+   */
+  createLead(values, context) {
+    const now = new Date().toISOString();
+    const fields = {};
+    this.fields.forEach(field => {
+      const value = values[field.name];
+      fields[field.name] = field.type === 'checkbox' ? value === true : String(value ?? '').trim();
+    });
+
+    const consents = {};
+    this.consents.forEach(consent => {
+      // The wording the player agreed to, as shown to them
+      consents[consent.name] = { granted: values[consent.name] === true, label: t(consent.label), at: now };
+    });
+
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      campaign: this.campaignId,
+      market: this.market,
+      language: i18n.getLanguage(),   // So the dealer can reply in it
+      createdAt: now,
+      fields,
+      consents,
+      context
+    };
+  }
+
+  enqueue(lead) {
+    this.queue.push(lead);
+    this.save();
+    this.emit('queued', lead);
+  }
+
+  /**
+   * Send queued leads in order (stops at the first retryable failure)
+   * @returns {Promise<number>} Number of leads sent
+   */
+  async flush() {
+    if (this.isFlushing || this.queue.length === 0 || navigator.onLine === false) return 0;
+    this.isFlushing = true;
+    let sent = 0;
+
+    try {
+      while (this.queue.length > 0) {
+        const lead = this.queue[0];
+        try {
+          await this.transport.send(lead);
+          sent++;
+          this.emit('sent', lead);
+        } catch (error) {
+          if (error.retryable !== false) break;
+          console.warn('LeadCapture: Queued lead rejected', error);
+          this.emit('rejected', { lead, error });
+        }
+        this.queue.shift();
+        this.save();
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (sent > 0) console.log(`LeadCapture: Sent ${sent} queued lead(s)`);
+    return sent;
+  }
+
+  getQueueSize() {
+    return this.queue.length;
+  }
+}
@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+
+/**
+ * LiveryManager - Paint, wheel finish and stripes for the player car
+ *
+ * Car parts are found by mesh/material name, with the same rules as
+ * LowPolyViewer.loadCar (getCarPart). The body paint is the material whose
+ * name contains "paint"; wheels are meshes or materials named "wheel".
+ *
+ * Stripes are drawn in the paint shader from the body's object-space
+ * bounds, so they work on any model without UVs or decal textures:
+ * - racing: twin stripes over bonnet, roof and boot
+ * - side:   a low stripe along the sills (the N accent line)
+ *
+ * The chosen livery is persisted in localStorage. The campaign brand can
+ * change the defaults a new player starts from (setDefaults).
+ */
+
+// N colour palette
+export const PAINT_COLORS = [
+  { id: 'performance-blue', name: 'Performance Blue', color: 0x2f64b5, metalness: 0.4, roughness: 0.25 },
+  { id: 'performance-blue-matte', name: 'Performance Blue Matte', color: 0x2f64b5, metalness: 0.2, roughness: 0.7 },
+  { id: 'atlas-white', name: 'Atlas White', color: 0xf0f0ee, metalness: 0.1, roughness: 0.25 },
+  { id: 'phantom-black', name: 'Phantom Black', color: 0x0d0d10, metalness: 0.5, roughness: 0.2 },
+  { id: 'engine-red', name: 'Engine Red', color: 0xa5141c, metalness: 0.3, roughness: 0.25 },
+  { id: 'shadow-grey', name: 'Shadow Grey', color: 0x55595e, metalness: 0.5, roughness: 0.3 },
+  { id: 'soultronic-orange', name: 'Soultronic Orange', color: 0xd45a1e, metalness: 0.5, roughness: 0.25 }
+];
+
+// Multiplies the wheel texture (white keeps the factory look)
+export const WHEEL_FINISHES = [
+  { id: 'factory', name: 'Factory', color: 0xffffff, metalness: null, roughness: null },
+  { id: 'gloss-black', name: 'Gloss Black', color: 0x2a2a2a, metalness: 0.6, roughness: 0.2 },
+  { id: 'matte-black', name: 'Matte Black', color: 0x222222, metalness: 0.2, roughness: 0.8 },
+  { id: 'bronze', name: 'Bronze', color: 0xb5895a, metalness: 0.8, roughness: 0.35 }
+];
+
+export const STRIPE_COLORS = [
+  { id: 'white', name: 'White', color: 0xf5f5f5 },
+  { id: 'black', name: 'Black', color: 0x111111 },
+  { id: 'red', name: 'N Red', color: 0xe4002b }
+];
+
+export const DEFAULT_LIVERY = {
+  paint: 'performance-blue',
+  wheels: 'factory',
+  racingStripes: false,
+  sideStripe: true,
+  stripeColor: 'red'
+};
+
+/**
+ * Which part of a car a mesh belongs to (shared with LowPolyViewer.loadCar)
+ * @param {THREE.Mesh} mesh
+ * @returns {string} 'window', 'wheel', 'body' or 'other'
+ */
+export function getCarPart(mesh) {
+  const materialName = (mesh.material?.name || '').toLowerCase();
+  const meshName = (mesh.name || '').toLowerCase();
+
+  if (materialName.includes('window')) return 'window';
+  if (meshName.includes('wheel') || meshName.includes('3dwheel')) return 'wheel';
+  if (meshName.includes('body') || meshName.includes('car_body')) return 'body';
+  return 'other';
+}
+
+/**
+ * Body paint material (a body part's "paint" material)
+ */
+function isPaint(mesh) {
+  return getCarPart(mesh) === 'body' && (mesh.material?.name || '').toLowerCase().includes('paint');
+}
+
+function isWheelMaterial(mesh) {
+  return getCarPart(mesh) === 'wheel' && (mesh.material?.name || '').toLowerCase().includes('wheel');
+}
+
+export class LiveryManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for the livery
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'hyundai_n_livery';
+    this.defaults = { ...DEFAULT_LIVERY };
+    this.livery = this.load();
+  }
+
+  /**
+   * Starting livery for players who have not customised theirs
+   * @param {Object} defaults - Any DEFAULT_LIVERY keys
+   */
+  setDefaults(defaults = {}) {
+    this.defaults = { ...DEFAULT_LIVERY };
+    Object.keys(DEFAULT_LIVERY).forEach(key => {
+      if (typeof defaults[key] === typeof DEFAULT_LIVERY[key]) this.defaults[key] = defaults[key];
+    });
+    this.livery = this.load();
+  }
+
+  load() {
+    const livery = { ...this.defaults };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      Object.keys(livery).forEach(key => {
+        if (typeof stored?.[key] === typeof livery[key]) livery[key] = stored[key];
+      });
+    } catch (e) {
+      console.warn('Failed to load livery, using default');
+    }
+
+    return livery;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.livery));
+    } catch (e) {
+      console.warn('Failed to save livery');
+    }
+  }
+
+  /**
+   * Change part of the livery and persist it
+   * @param {Object} changes - Any DEFAULT_LIVERY keys
+   */
+  set(changes) {
+    Object.keys(DEFAULT_LIVERY).forEach(key => {
+      if (changes[key] !== undefined) this.livery[key] = changes[key];
+    });
+    this.save();
+  }
+
+  get() {
+    return { ...this.livery };
+  }
+
+  getPaint() {
+    return PAINT_COLORS.find(p => p.id === this.livery.paint) ?? PAINT_COLORS[0];
+  }
+
+  getWheelFinish() {
+    return WHEEL_FINISHES.find(w => w.id === this.livery.wheels) ?? WHEEL_FINISHES[0];
+  }
+
+  getStripeColor() {
+    return STRIPE_COLORS.find(s => s.id === this.livery.stripeColor) ?? STRIPE_COLORS[0];
+  }
+
+  /**
+   * Apply the livery to a car model (call again after every change)
+   * @param {THREE.Object3D} root - Car model
+   */
+  apply(root) {
+    const paint = this.getPaint();
+    const wheels = this.getWheelFinish();
+
+    // Group paint meshes by material: stripe bounds are per material
+    const paintMeshes = new Map();
+
+    root.traverse(child => {
+      if (!child.isMesh) return;
+
+      if (isPaint(child)) {
+        if (!paintMeshes.has(child.material)) paintMeshes.set(child.material, []);
+        paintMeshes.get(child.material).push(child);
+      } else if (isWheelMaterial(child)) {
+        const material = child.material;
+        // Remember the factory finish the first time
+        material.userData.factory ??= { metalness: material.metalness, roughness: material.roughness };
+        material.color.setHex(wheels.color);
+        material.metalness = wheels.metalness ?? material.userData.factory.metalness;
+        material.roughness = wheels.roughness ?? material.userData.factory.roughness;
+      }
+    });
+
+    paintMeshes.forEach((meshes, material) => {
+      material.color.setHex(paint.color);
+      material.metalness = paint.metalness;
+      material.roughness = paint.roughness;
+      this.applyStripes(material, meshes);
+    });
+  }
+
+  /**
+   * Install (once) and update the stripe shader on a paint material
+   */
+  applyStripes(material, meshes) {
+    let uniforms = material.userData.liveryUniforms;
+
+    if (!uniforms) {
+      const bounds = new THREE.Box3();
+      meshes.forEach(mesh => {
+        mesh.geometry.computeBoundingBox();
+        bounds.union(mesh.geometry.boundingBox);
+      });
+
+      uniforms = {
+        uBodyMin: { value: bounds.min },
+        uBodyMax: { value: bounds.max },
+        uStripes: { value: new THREE.Vector2() },
+        uStripeColor: { value: new THREE.Color() }
+      };
+      material.userData.liveryUniforms = uniforms;
+      material.onBeforeCompile = (shader) => this.injectStripes(shader, uniforms);
+      material.customProgramCacheKey = () => 'livery-stripes';
+      material.needsUpdate = true;
+    }
+
+    uniforms.uStripes.value.set(this.livery.racingStripes ? 1 : 0, this.livery.sideStripe ? 1 : 0);
+    uniforms.uStripeColor.value.setHex(this.getStripeColor().color);
+  }
+
+  /**
+   * Object-space stripe bands mixed into the paint colour
+   */
+  injectStripes(shader, uniforms) {
+    Object.assign(shader.uniforms, uniforms);
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>
+varying vec3 vLiveryPosition;
+varying vec3 vLiveryNormal;`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>
+vLiveryPosition = position;
+vLiveryNormal = normal;`);
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+uniform vec3 uBodyMin;
+uniform vec3 uBodyMax;
+uniform vec2 uStripes;
+uniform vec3 uStripeColor;
+varying vec3 vLiveryPosition;
+varying vec3 vLiveryNormal;`)
+      .replace('#include <color_fragment>', `#include <color_fragment>
+{
+  vec3 liveryLocal = (vLiveryPosition - uBodyMin) / max(uBodyMax - uBodyMin, vec3(1e-4));
+  vec3 n = normalize(vLiveryNormal);
+  float lateral = abs(liveryLocal.x - 0.5) * 2.0;
+
+  // Twin stripes on surfaces facing up or fore/aft
+  float racing = step(0.08, lateral) * step(lateral, 0.24)
+    * step(0.3, max(n.y, abs(n.z))) * uStripes.x;
+
+  // Sill stripe on the sides
+  float side = step(0.12, liveryLocal.y) * step(liveryLocal.y, 0.18)
+    * step(0.5, abs(n.x)) * uStripes.y;
+
+  diffuseColor.rgb = mix(diffuseColor.rgb, uStripeColor, max(racing, side));
+}`);
+  }
+}
@@ -0,0 +1,328 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { getBrand, drawWordmark } from '../utils/Branding.js';
+
+/**
+ * PhotoMode - Player-facing photo mode (the game is paused while it is open)
+ *
+ * - Free orbit camera around the car, kept close to it and above the road
+ * - Adjustable FOV and depth of field (bokeh, auto-focused on the car)
+ * - Vignette, frames and the brand logo, drawn on a 2D overlay so
+ *   the preview and the exported PNG match
+ * - Export at a multiple of the screen resolution: the view is rendered in
+ *   tiles with camera.setViewOffset and stitched on a 2D canvas, so the
+ *   image can be larger than the WebGL canvas
+ *
+ * The camera is shared with the game; enter() remembers its pose and
+ * exit() puts it back.
+ */
+
+export const PHOTO_FRAMES = [
+  { id: 'none', name: 'None' },
+  { id: 'border', name: 'Border' },
+  { id: 'cinema', name: 'Cinema' },
+  { id: 'n-line', name: 'N Line' }
+];
+
+export const DEFAULT_PHOTO_SETTINGS = {
+  fov: 45,          // Degrees
+  blur: 0,          // Depth of field strength (0-1)
+  vignette: 0.35,   // 0-1
+  frame: 'none',    // PHOTO_FRAMES id
+  logo: true,       // Brand logo (Branding.drawWordmark)
+  scale: 2          // Export size as a multiple of the screen
+};
+
+const CINEMA_ASPECT = 2.39;
+
+// Keep the camera (and what it orbits) near the car
+const MIN_DISTANCE = 0.4;
+const MAX_DISTANCE = 4;
+const MAX_TARGET_OFFSET = 1;
+const MIN_CAMERA_HEIGHT = 0.03;
+
+// Largest exported side (2D canvas limits)
+const MAX_EXPORT_SIZE = 8192;
+
+export class PhotoMode {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {Object} options
+   * @param {HTMLElement} options.container - Element the preview overlay is added to
+   * @param {string} options.filePrefix - Exported file name prefix
+   */
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.filePrefix = options.filePrefix ?? `${getBrand().copy.filePrefix}-photo`;
+
+    this.settings = { ...DEFAULT_PHOTO_SETTINGS };
+    this.active = false;
+    this.isCapturing = false;
+    this.target = null;
+    this.focusPoint = new THREE.Vector3();
+    this.savedView = null;
+
+    this.controls = new OrbitControls(camera, renderer.domElement);
+    this.controls.enabled = false;
+    this.controls.enableDamping = true;
+    this.controls.dampingFactor = 0.1;
+    this.controls.minDistance = MIN_DISTANCE;
+    this.controls.maxDistance = MAX_DISTANCE;
+    this.controls.maxPolarAngle = Math.PI * 0.495; // Stay above the road
+
+    // Depth of field runs through a composer, only when blur is on
+    this.composer = new EffectComposer(renderer);
+    this.composer.addPass(new RenderPass(scene, camera));
+    this.bokeh = new BokehPass(scene, camera, { focus: 1, aperture: 0, maxblur: 0 });
+    this.composer.addPass(this.bokeh);
+    this.composer.addPass(new OutputPass());
+
+    // Preview of vignette, frame and logo
+    this.overlay = document.createElement('canvas');
+    this.overlay.id = 'photo-overlay';
+    this.overlay.style.cssText = 'position:absolute;inset:0;width:100%;height:100%;pointer-events:none;display:none;z-index:70;';
+    options.container?.appendChild(this.overlay);
+  }
+
+  /**
+   * Open photo mode around a target (the car)
+   * @param {Object} target - Has a position
+   */
+  enter(target) {
+    if (this.active || !target) return;
+
+    this.active = true;
+    this.target = target;
+    this.savedView = {
+      position: this.camera.position.clone(),
+      quaternion: this.camera.quaternion.clone(),
+      fov: this.camera.fov
+    };
+
+    // Start orbiting from the current view
+    this.getFocusPoint(this.focusPoint);
+    this.controls.target.copy(this.focusPoint);
+    const offset = this.camera.position.clone().sub(this.focusPoint);
+    offset.setLength(THREE.MathUtils.clamp(offset.length(), MIN_DISTANCE, MAX_DISTANCE));
+    this.camera.position.copy(this.focusPoint).add(offset);
+    this.controls.enabled = true;
+    this.controls.update();
+
+    this.applySettings();
+    this.overlay.style.display = '';
+    this.resize(window.innerWidth, window.innerHeight);
+  }
+
+  /**
+   * Close photo mode and give the camera back
+   */
+  exit() {
+    if (!this.active) return;
+
+    this.active = false;
+    this.controls.enabled = false;
+    this.overlay.style.display = 'none';
+
+    if (this.savedView) {
+      this.camera.position.copy(this.savedView.position);
+      this.camera.quaternion.copy(this.savedView.quaternion);
+      this.camera.fov = this.savedView.fov;
+      this.camera.updateProjectionMatrix();
+      this.savedView = null;
+    }
+  }
+
+  /**
+   * Change settings (any DEFAULT_PHOTO_SETTINGS keys)
+   */
+  set(changes) {
+    Object.keys(DEFAULT_PHOTO_SETTINGS).forEach(key => {
+      if (changes[key] !== undefined) this.settings[key] = changes[key];
+    });
+    this.applySettings();
+  }
+
+  get() {
+    return { ...this.settings };
+  }
+
+  applySettings() {
+    if (!this.active) return;
+
+    this.camera.fov = this.settings.fov;
+    this.camera.updateProjectionMatrix();
+
+    const ctx = this.overlay.getContext('2d');
+    ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    this.drawOverlay(ctx, this.overlay.width, this.overlay.height);
+  }
+
+  /**
+   * Point the orbit is centred on by default (middle of the car)
+   */
+  getFocusPoint(out) {
+    return out.copy(this.target.position).add(new THREE.Vector3(0, 0.12, 0));
+  }
+
+  /**
+   * Keep the orbit near the car and the camera above the road (call each frame)
+   */
+  update() {
+    if (!this.active) return;
+
+    this.controls.update();
+
+    // Panning may drift the orbit centre, but not away from the car
+    this.getFocusPoint(this.focusPoint);
+    const drift = this.controls.target.clone().sub(this.focusPoint);
+    if (drift.length() > MAX_TARGET_OFFSET) {
+      drift.setLength(MAX_TARGET_OFFSET);
+      const corrected = this.focusPoint.clone().add(drift);
+      this.camera.position.add(corrected.clone().sub(this.controls.target));
+      this.controls.target.copy(corrected);
+    }
+
+    if (this.camera.position.y < MIN_CAMERA_HEIGHT) {
+      this.camera.position.y = MIN_CAMERA_HEIGHT;
+    }
+  }
+
+  /**
+   * Render one frame (with depth of field if enabled)
+   * @param {number} blurScale - Blur multiplier (tiles of a larger image need more)
+   */
+  render(blurScale = 1) {
+    const blur = this.settings.blur;
+    if (blur <= 0) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    // Focus on the car, everything nearer or further softens
+    const uniforms = this.bokeh.uniforms;
+    uniforms.focus.value = this.camera.position.distanceTo(this.target.position);
+    uniforms.aperture.value = blur * 0.01 * blurScale;
+    uniforms.maxblur.value = blur * 0.015 * blurScale;
+    this.composer.render();
+  }
+
+  /**
+   * Vignette, frame and wordmark over an image of the given size
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   */
+  drawOverlay(ctx, width, height) {
+    const { vignette, frame, logo } = this.settings;
+    const unit = Math.min(width, height) / 100;
+
+    if (vignette > 0) {
+      const radius = Math.hypot(width, height) / 2;
+      const gradient = ctx.createRadialGradient(width / 2, height / 2, radius * 0.35, width / 2, height / 2, radius);
+      gradient.addColorStop(0, 'rgba(0,0,0,0)');
+      gradient.addColorStop(1, `rgba(0,0,0,${(vignette * 0.85).toFixed(3)})`);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    let logoInset = unit * 4;
+    if (frame === 'border' || frame === 'n-line') {
+      const border = unit * 2.5;
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, width, border);
+      ctx.fillRect(0, height - border, width, border);
+      ctx.fillRect(0, 0, border, height);
+      ctx.fillRect(width - border, 0, border, height);
+      logoInset += border;
+
+      if (frame === 'n-line') {
+        // Accent line along the bottom edge
+        ctx.fillStyle = getBrand().palette.primary;
+        ctx.fillRect(border, height - border - unit, width - border * 2, unit);
+      }
+    } else if (frame === 'cinema') {
+      const bar = Math.max((height - width / CINEMA_ASPECT) / 2, 0);
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, width, bar);
+      ctx.fillRect(0, height - bar, width, bar);
+      logoInset += bar;
+    }
+
+    if (logo) {
+      drawWordmark(ctx, width - unit * 4, height - logoInset, unit * 4.5);
+    }
+  }
+
+  /**
+   * Render a high-resolution PNG and download it
+   * @returns {Promise<Blob|null>} The image, or null if a capture is already running
+   */
+  async capture() {
+    if (!this.active || this.isCapturing) return null;
+    this.isCapturing = true;
+
+    try {
+      const tile = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+      const scale = Math.max(1, Math.min(Math.round(this.settings.scale), Math.floor(MAX_EXPORT_SIZE / Math.max(tile.x, tile.y))));
+      const width = tile.x * scale;
+      const height = tile.y * scale;
+
+      const output = document.createElement('canvas');
+      output.width = width;
+      output.height = height;
+      const ctx = output.getContext('2d');
+
+      // Each tile is a full-canvas render of one part of the big view
+      for (let row = 0; row < scale; row++) {
+        for (let column = 0; column < scale; column++) {
+          this.camera.setViewOffset(width, height, column * tile.x, row * tile.y, tile.x, tile.y);
+          this.render(scale);
+          ctx.drawImage(this.renderer.domElement, column * tile.x, row * tile.y);
+        }
+      }
+      this.camera.clearViewOffset();
+
+      this.drawOverlay(ctx, width, height);
+
+      const blob = await new Promise(resolve => output.toBlob(resolve, 'image/png'));
+      if (blob) this.download(blob);
+      console.log(`Photo saved: ${width}x${height}`);
+      return blob;
+    } finally {
+      this.camera.clearViewOffset();
+      this.isCapturing = false;
+    }
+  }
+
+  /**
+   * Save a blob as a PNG file
+   */
+  download(blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.filePrefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Match the preview overlay to the drawing buffer
+   */
+  resize(width, height) {
+    this.composer.setSize(width, height);
+
+    const pixelRatio = this.renderer.getPixelRatio();
+    this.overlay.width = Math.round(width * pixelRatio);
+    this.overlay.height = Math.round(height * pixelRatio);
+    this.applySettings();
+  }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { ObjectPool } from './ObjectPool.js';
+import { Random } from '../utils/Random.js';
 
 /**
  * RoadManager - Handles infinite road generation using pre-modeled segments
@@ -11,9 +12,15 @@ import { ObjectPool } from './ObjectPool.js';
  * Segments are recycled from behind the player to ahead using ObjectPool.
  */
 export class RoadManager {
-  constructor(scene, assetLoader) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {AssetLoader} assetLoader
+   * @param {Random} rng - Seeded generator for segment selection
+   */
+  constructor(scene, assetLoader, rng = new Random()) {
     this.scene = scene;
     this.assetLoader = assetLoader;
+    this.rng = rng;
 
     // Segment templates (original loaded models)
     this.segmentTemplates = new Map();
@@ -276,7 +283,7 @@ export class RoadManager {
   selectRandomSegmentType() {
     const types = Array.from(this.segmentTemplates.entries());
     const totalWeight = types.reduce((sum, [, t]) => sum + t.weight, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
 
     for (const [name, template] of types) {
       random -= template.weight;
@@ -415,6 +422,19 @@ export class RoadManager {
     return new THREE.Vector3(0, 0, z);
   }
 
+  /**
+   * Get the road centreline frame at a distance from the start
+   * Road runs along -Z, so distance maps directly to Z
+   * @param {number} distance - Distance travelled from the start
+   * @returns {{ position: THREE.Vector3, tangent: THREE.Vector3 }}
+   */
+  getRoadFrameAt(distance) {
+    return {
+      position: this.getRoadCenterAt(-distance),
+      tangent: new THREE.Vector3(0, 0, -1)
+    };
+  }
+
   /**
    * Get pool statistics for debugging
    */
@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+/**
+ * ScoreSystem - Distance, speed bonus and near-miss combo scoring
+ *
+ * Score sources:
+ * - Distance travelled along the road, multiplied by the current speed tier
+ * - Near misses: passing an obstacle with a small lateral gap
+ *   (consecutive near misses inside comboWindow build a combo multiplier)
+ *
+ * Collisions cost collisionPenalty points and break the combo chain.
+ *
+ * Events:
+ * - 'update'     { score, distance, speedMultiplier, combo, comboMultiplier }
+ * - 'multiplier' { speedMultiplier }  speed tier changed
+ * - 'nearMiss'   { points, gap, combo, comboMultiplier }
+ * - 'comboBreak' { combo, reason }   'timeout' or 'collision'
+ * - 'collision'  { penalty }
+ * - 'reset'
+ */
+
+// Tunable scoring rules (distances in metres, speeds in km/h)
+export const DEFAULT_SCORE_CONFIG = {
+  pointsPerMeter: 1,
+  speedTiers: [
+    { minSpeed: 80, multiplier: 1.5 },
+    { minSpeed: 110, multiplier: 2 },
+    { minSpeed: 130, multiplier: 3 }
+  ],
+  nearMissDistance: 1.0,   // Max gap (m) between car and obstacle sides
+  nearMissPoints: 100,
+  comboWindow: 3,          // Seconds to chain the next near miss
+  comboStep: 0.5,          // Extra multiplier per chained near miss
+  maxComboMultiplier: 5,
+  collisionPenalty: 250
+};
+
+export class ScoreSystem extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.metersPerUnit - World scale
+   * @param {number} options.carHalfWidth - Car half width in world units
+   * @param {Object} options.config - Overrides for DEFAULT_SCORE_CONFIG
+   */
+  constructor(options = {}) {
+    super();
+
+    this.metersPerUnit = options.metersPerUnit ?? 1;
+    this.carHalfWidth = options.carHalfWidth ?? 1;
+    this.config = { ...DEFAULT_SCORE_CONFIG, ...options.config };
+
+    // Returns [{ position: THREE.Vector3, halfWidth: number }] in world units
+    this.obstacleProvider = null;
+
+    // Obstacles currently ahead of the car (to detect when they are passed)
+    this.obstaclesAhead = new WeakSet();
+
+    // Scratch vectors
+    this.forward = new THREE.Vector3();
+    this.right = new THREE.Vector3();
+    this.toObstacle = new THREE.Vector3();
+
+    this.reset();
+  }
+
+  /**
+   * Update scoring rules at runtime
+   * @param {Object} config - Partial config
+   */
+  setConfig(config) {
+    Object.assign(this.config, config);
+  }
+
+  /**
+   * Set the source of near-miss candidates (traffic, barriers, ...)
+   * @param {Function} provider - Returns [{ position, halfWidth }]
+   */
+  setObstacleProvider(provider) {
+    this.obstacleProvider = provider;
+  }
+
+  /**
+   * Clear score for a new run
+   * @param {number} startDistance - Car distance at the start of the run
+   */
+  reset(startDistance = 0) {
+    this.score = 0;
+    this.distance = 0; // metres
+    this.lastCarDistance = startDistance;
+    this.speedMultiplier = 1;
+    this.combo = 0;
+    this.bestCombo = 0;
+    this.comboTimer = 0;
+    this.nearMisses = 0;
+    this.obstaclesAhead = new WeakSet();
+    this.emit('reset');
+  }
+
+  /**
+   * Multiplier for a speed in km/h
+   */
+  getSpeedMultiplier(speedKmh) {
+    let multiplier = 1;
+    for (const tier of this.config.speedTiers) {
+      if (speedKmh >= tier.minSpeed) {
+        multiplier = Math.max(multiplier, tier.multiplier);
+      }
+    }
+    return multiplier;
+  }
+
+  /**
+   * Current combo multiplier applied to near-miss points
+   */
+  getComboMultiplier() {
+    const { comboStep, maxComboMultiplier } = this.config;
+    return Math.min(1 + Math.max(0, this.combo - 1) * comboStep, maxComboMultiplier);
+  }
+
+  /**
+   * Accumulate score for this frame
+   * @param {Car} car - Player car (distance, speed, position, rotation)
+   * @param {number} deltaTime
+   */
+  update(car, deltaTime) {
+    // Distance along segmentPaths since last frame
+    const travelled = Math.max(0, car.distance - this.lastCarDistance) * this.metersPerUnit;
+    this.lastCarDistance = car.distance;
+    this.distance += travelled;
+
+    // Speed tier
+    const speedKmh = car.speed * this.metersPerUnit * 3.6;
+    const multiplier = this.getSpeedMultiplier(speedKmh);
+    if (multiplier !== this.speedMultiplier) {
+      this.speedMultiplier = multiplier;
+      this.emit('multiplier', { speedMultiplier: multiplier });
+    }
+
+    this.score += travelled * this.config.pointsPerMeter * this.speedMultiplier;
+
+    // Combo expires if no near miss follows in time
+    if (this.combo > 0) {
+      this.comboTimer -= deltaTime;
+      if (this.comboTimer <= 0) {
+        this.breakCombo('timeout');
+      }
+    }
+
+    this.checkNearMisses(car);
+
+    this.emit('update', this.getState());
+  }
+
+  /**
+   * Detect obstacles passed this frame with a small lateral gap
+   */
+  checkNearMisses(car) {
+    if (!this.obstacleProvider) return;
+
+    // Measure along the road, not the (possibly drifting) body
+    this.forward.copy(car.forward);
+    this.forward.y = 0;
+    this.forward.normalize();
+    this.right.set(-this.forward.z, 0, this.forward.x);
+
+    for (const obstacle of this.obstacleProvider()) {
+      this.toObstacle.subVectors(obstacle.position, car.position);
+      const along = this.toObstacle.dot(this.forward);
+
+      if (along > 0) {
+        this.obstaclesAhead.add(obstacle);
+        continue;
+      }
+
+      // Only count the frame the obstacle goes from ahead to behind
+      if (!this.obstaclesAhead.has(obstacle)) continue;
+      this.obstaclesAhead.delete(obstacle);
+
+      const lateral = Math.abs(this.toObstacle.dot(this.right));
+      const gap = (lateral - this.carHalfWidth - (obstacle.halfWidth ?? 0)) * this.metersPerUnit;
+
+      if (gap > 0 && gap <= this.config.nearMissDistance) {
+        this.registerNearMiss(gap);
+      }
+    }
+  }
+
+  /**
+   * Award a near miss and extend the combo
+   * @param {number} gap - Gap in metres
+   */
+  registerNearMiss(gap) {
+    this.combo++;
+    this.bestCombo = Math.max(this.bestCombo, this.combo);
+    this.comboTimer = this.config.comboWindow;
+    this.nearMisses++;
+
+    const comboMultiplier = this.getComboMultiplier();
+    const points = Math.round(this.config.nearMissPoints * comboMultiplier);
+    this.score += points;
+
+    this.emit('nearMiss', { points, gap, combo: this.combo, comboMultiplier });
+  }
+
+  /**
+   * Deduct the crash penalty and break the combo chain
+   */
+  registerCollision() {
+    const penalty = Math.min(this.config.collisionPenalty, Math.floor(this.score));
+    this.score -= penalty;
+
+    if (this.combo > 0) {
+      this.breakCombo('collision');
+    }
+
+    this.emit('collision', { penalty });
+  }
+
+  breakCombo(reason) {
+    const combo = this.combo;
+    this.combo = 0;
+    this.comboTimer = 0;
+    this.emit('comboBreak', { combo, reason });
+  }
+
+  /**
+   * Snapshot for HUD and results
+   */
+  getState() {
+    return {
+      score: Math.floor(this.score),
+      distance: this.distance,
+      speedMultiplier: this.speedMultiplier,
+      combo: this.combo,
+      comboMultiplier: this.getComboMultiplier(),
+      bestCombo: this.bestCombo,
+      nearMisses: this.nearMisses
+    };
+  }
+}
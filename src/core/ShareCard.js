@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { getBrand, hexToRgb, drawWordmark } from '../utils/Branding.js';
+import { i18n, t } from './I18n.js';
+
+/**
+ * ShareCard - Branded result image, generated entirely in the browser
+ *
+ * The car is rendered once from a three-quarter front angle with the game's
+ * WebGLRenderer, copied off the canvas straight away, and composited with
+ * the run results on a 2D canvas:
+ *
+ *   [ car snapshot + brand logo         ]
+ *   [ SCORE / distance, top speed, seed ]
+ *   [ hashtag                           ]
+ *
+ * Colours, fonts, logo and copy come from the brand (Branding.getBrand).
+ * Labels, numbers and units are in the player's language (I18n); in
+ * right-to-left languages the text columns are mirrored.
+ *
+ * share() uses the Web Share API with the image attached where the browser
+ * supports sharing files, and falls back to downloading the PNG.
+ */
+
+const CARD_WIDTH = 1080;
+const CARD_HEIGHT = 1080;
+const PHOTO_HEIGHT = 640;
+
+// Snapshot camera, in the car's local space (-Z forward)
+const SNAPSHOT_OFFSET = new THREE.Vector3(0.75, 0.4, -1.5);
+const SNAPSHOT_LOOK_AT = new THREE.Vector3(0, 0.12, 0);
+const SNAPSHOT_FOV = 35;
+
+export class ShareCard {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {Object} options
+   * @param {string} options.hashtag - Campaign hashtag printed on the card and in the share text
+   * @param {string} options.title - Share sheet title
+   * @param {string} options.filePrefix - Downloaded file name prefix
+   */
+  constructor(renderer, scene, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    const brand = getBrand();
+    this.hashtag = options.hashtag ?? brand.copy.hashtag;
+    this.title = options.title ?? brand.name;
+    this.filePrefix = options.filePrefix ?? `${brand.copy.filePrefix}-result`;
+
+    this.camera = new THREE.PerspectiveCamera(SNAPSHOT_FOV, 1, 0.05, 1000);
+  }
+
+  /**
+   * Render the car on its own camera and copy the frame
+   * (call between game frames; the next frame redraws the normal view)
+   * @param {Object} target - Car ({ position, rotation })
+   * @returns {HTMLCanvasElement}
+   */
+  snapshot(target) {
+    const canvas = this.renderer.domElement;
+    this.camera.aspect = canvas.width / canvas.height;
+    this.camera.updateProjectionMatrix();
+
+    const yaw = target.rotation?.y || 0;
+    this.camera.position.copy(SNAPSHOT_OFFSET).applyAxisAngle(THREE.Object3D.DEFAULT_UP, yaw).add(target.position);
+    this.camera.lookAt(target.position.clone().add(SNAPSHOT_LOOK_AT));
+
+    this.renderer.render(this.scene, this.camera);
+
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    copy.getContext('2d').drawImage(canvas, 0, 0);
+    return copy;
+  }
+
+  /**
+   * Build the card
+   * @param {Object} results - { score, distance (m), topSpeed (km/h), seed } plus
+   *   mode, vehicleName and isNewBest when known
+   * @param {Object} target - Car to photograph
+   * @returns {Promise<Blob>} PNG
+   */
+  async generate(results, target) {
+    const card = document.createElement('canvas');
+    card.width = CARD_WIDTH;
+    card.height = CARD_HEIGHT;
+    const ctx = card.getContext('2d');
+    const { palette } = getBrand();
+    const background = hexToRgb(palette.background);
+
+    // Mirror x positions and alignment for right-to-left languages
+    const rtl = i18n.getDirection() === 'rtl';
+    const x = (value) => (rtl ? CARD_WIDTH - value : value);
+    const align = (value) => (rtl ? { left: 'right', right: 'left' }[value] : value);
+
+    ctx.fillStyle = palette.background;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+    if (target) {
+      this.drawCover(ctx, this.snapshot(target), 0, 0, CARD_WIDTH, PHOTO_HEIGHT);
+    }
+
+    // Fade the photo into the stats panel
+    const fade = ctx.createLinearGradient(0, PHOTO_HEIGHT - 200, 0, PHOTO_HEIGHT);
+    fade.addColorStop(0, `rgba(${background}, 0)`);
+    fade.addColorStop(1, `rgba(${background}, 1)`);
+    ctx.fillStyle = fade;
+    ctx.fillRect(0, PHOTO_HEIGHT - 200, CARD_WIDTH, 200);
+
+    drawWordmark(ctx, x(56), 96, 52, align('left'));
+    if (results.vehicleName) {
+      this.drawText(ctx, results.vehicleName.toUpperCase(), x(56), 144, 28, '#ddd', align('left'));
+    }
+
+    // Score
+    const label = t(results.mode === 'daily' ? 'card.dailyScore' : 'card.score');
+    this.drawText(ctx, label, x(56), PHOTO_HEIGHT + 10, 26, '#999', align('left'));
+    this.drawText(ctx, i18n.formatNumber(results.score), x(52), PHOTO_HEIGHT + 120, 112, '#fff', align('left'));
+    if (results.isNewBest) {
+      this.drawText(ctx, t('card.newBest'), x(CARD_WIDTH - 56), PHOTO_HEIGHT + 10, 26, palette.primary, align('right'));
+    }
+
+    // Stats row
+    const stats = [
+      [t('card.distance'), i18n.formatDistance(results.distance)],
+      [t('card.topSpeed'), i18n.formatSpeed(results.topSpeed)],
+      [t('card.seed'), String(results.seed ?? '-')]
+    ];
+    const columnWidth = (CARD_WIDTH - 112) / stats.length;
+    stats.forEach(([name, value], index) => {
+      const left = 56 + index * columnWidth;
+      this.drawText(ctx, name, x(left), PHOTO_HEIGHT + 200, 22, '#999', align('left'));
+      this.drawText(ctx, value, x(left), PHOTO_HEIGHT + 250, 40, '#fff', align('left'));
+    });
+
+    // Accent line and hashtag
+    ctx.fillStyle = palette.primary;
+    ctx.fillRect(0, CARD_HEIGHT - 12, CARD_WIDTH, 12);
+    this.drawText(ctx, this.hashtag, x(CARD_WIDTH - 56), CARD_HEIGHT - 48, 34, palette.primary, align('right'));
+
+    return new Promise((resolve, reject) => {
+      card.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Share card encoding failed'))), 'image/png');
+    });
+  }
+
+  /**
+   * Draw an image scaled to cover a rectangle (centre crop)
+   */
+  drawCover(ctx, image, x, y, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    ctx.drawImage(
+      image,
+      (image.width - sourceWidth) / 2, (image.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+      x, y, width, height
+    );
+  }
+
+  drawText(ctx, text, x, y, size, color, align = 'left') {
+    ctx.font = `900 ${size}px ${getBrand().fonts.display}`;
+    ctx.textAlign = align;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  }
+
+  /**
+   * Message that goes with the image, in the player's language
+   */
+  getShareText(results) {
+    return t(getBrand().copy.shareText, {
+      score: results.score,
+      distance: i18n.formatDistance(results.distance),
+      name: this.title,
+      hashtag: this.hashtag
+    });
+  }
+
+  /**
+   * Share the card, or download it where sharing files is not supported
+   * @param {Blob} blob - From generate()
+   * @param {Object} results - Same results as the card
+   * @param {string} url - Link to share along with it (e.g. the run's seed)
+   * @returns {Promise<string>} 'shared', 'downloaded' or 'cancelled'
+   */
+  async share(blob, results, url) {
+    const file = new File([blob], `${this.filePrefix}.png`, { type: 'image/png' });
+    const data = { files: [file], title: this.title, text: this.getShareText(results), url };
+
+    if (navigator.canShare?.(data)) {
+      try {
+        await navigator.share(data);
+        return 'shared';
+      } catch (error) {
+        if (error.name === 'AbortError') return 'cancelled';
+        console.warn('Web Share failed, downloading instead', error);
+      }
+    }
+
+    this.download(blob);
+    return 'downloaded';
+  }
+
+  /**
+   * Save the card as a PNG file
+   */
+  download(blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.filePrefix}-${Date.now()}.png`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
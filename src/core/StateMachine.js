@@ -0,0 +1,113 @@
+/**
+ * StateMachine - Named states with enter/exit/update hooks
+ *
+ * Each state lists the states it may transition to. Other systems (HUD,
+ * audio, camera) subscribe with onEnter/onExit/onChange instead of being
+ * called directly by the game loop.
+ *
+ * Hooks receive (from, to, data) where data is passed through transition().
+ */
+export class StateMachine {
+  constructor() {
+    this.states = new Map();
+    this.current = null;
+    this.changeListeners = [];
+  }
+
+  /**
+   * Register a state
+   * @param {string} name
+   * @param {Object} config
+   * @param {string[]} config.transitions - States reachable from this one
+   * @param {Function} config.enter - Called on entering (from, to, data)
+   * @param {Function} config.exit - Called on leaving (from, to, data)
+   * @param {Function} config.update - Called every frame while active (deltaTime)
+   */
+  addState(name, config = {}) {
+    this.states.set(name, {
+      transitions: config.transitions || [],
+      enterHooks: config.enter ? [config.enter] : [],
+      exitHooks: config.exit ? [config.exit] : [],
+      update: config.update || null
+    });
+    return this;
+  }
+
+  /**
+   * Add an extra enter hook to a state
+   */
+  onEnter(name, callback) {
+    this.getState(name)?.enterHooks.push(callback);
+  }
+
+  /**
+   * Add an extra exit hook to a state
+   */
+  onExit(name, callback) {
+    this.getState(name)?.exitHooks.push(callback);
+  }
+
+  /**
+   * Listen to every transition (from, to, data)
+   */
+  onChange(callback) {
+    this.changeListeners.push(callback);
+  }
+
+  getState(name) {
+    const state = this.states.get(name);
+    if (!state) {
+      console.warn(`StateMachine: Unknown state "${name}"`);
+    }
+    return state;
+  }
+
+  /**
+   * Check if a transition to a state is allowed from the current one
+   */
+  canTransition(name) {
+    if (!this.states.has(name)) return false;
+    if (this.current === null) return true;
+    return this.states.get(this.current).transitions.includes(name);
+  }
+
+  /**
+   * Move to another state, running exit then enter hooks
+   * @param {string} name - Target state
+   * @param {Object} data - Passed to hooks and listeners
+   * @returns {boolean} Whether the transition happened
+   */
+  transition(name, data = {}) {
+    if (!this.canTransition(name)) {
+      console.warn(`StateMachine: Invalid transition ${this.current} -> ${name}`);
+      return false;
+    }
+
+    const from = this.current;
+    const fromState = from !== null ? this.states.get(from) : null;
+    const toState = this.states.get(name);
+
+    fromState?.exitHooks.forEach(hook => hook(from, name, data));
+    this.current = name;
+    toState.enterHooks.forEach(hook => hook(from, name, data));
+    this.changeListeners.forEach(listener => listener(from, name, data));
+
+    return true;
+  }
+
+  /**
+   * Run the current state's update hook
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    const state = this.current !== null ? this.states.get(this.current) : null;
+    state?.update?.(deltaTime);
+  }
+
+  /**
+   * Check the current state
+   */
+  is(name) {
+    return this.current === name;
+  }
+}
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { ObjectPool } from './ObjectPool.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * TrafficManager - Ambient AI vehicles on the infinite road
+ *
+ * Vehicles are pooled and placed by distance along the road, using the same
+ * road provider as the player Car (getRoadFrameAt(distance)). They spawn
+ * ahead of the player in fixed lanes, drive at varied speeds, slow down
+ * behind slower traffic in their lane, and are recycled once behind the
+ * player.
+ *
+ * Density scales with difficulty (0-1).
+ */
+
+const TRAFFIC_COLORS = [0xdddddd, 0x222222, 0xaa2222, 0x888888, 0x224488, 0xcc9933, 0x336633];
+
+export class TrafficManager {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} road - Road provider with getRoadFrameAt(distance)
+   * @param {Object} config - Overrides for the defaults below (world units)
+   * @param {Random} rng - Seeded generator for lanes, speeds and colours
+   */
+  constructor(scene, road, config = {}, rng = new Random()) {
+    this.scene = scene;
+    this.road = road;
+    this.rng = rng;
+
+    this.config = {
+      lanes: [-0.28, 0.28],      // Lateral lane offsets from road center
+      minVehicles: 2,            // Active vehicles at difficulty 0
+      maxVehicles: 8,            // Active vehicles at difficulty 1
+      minSpeed: 2,               // units per second
+      maxSpeed: 5,
+      spawnAhead: 30,            // Spawn distance ahead of player
+      spawnSpread: 15,           // Random extra spawn distance
+      despawnBehind: 5,          // Recycle this far behind player
+      minGap: 3,                 // Minimum same-lane spacing
+      vehicleSize: { width: 0.3, height: 0.2, length: 0.65 },
+      ...config
+    };
+
+    this.difficulty = 0;
+    this.activeVehicles = [];
+    this.pool = this.createPool();
+  }
+
+  /**
+   * Create the vehicle pool
+   */
+  createPool() {
+    const { width, height, length } = this.config.vehicleSize;
+
+    // Shared geometry, per-vehicle paint
+    this.bodyGeometry = new THREE.BoxGeometry(width, height * 0.6, length);
+    this.cabinGeometry = new THREE.BoxGeometry(width * 0.85, height * 0.4, length * 0.5);
+    this.cabinMaterial = new THREE.MeshStandardMaterial({ color: 0x111111, metalness: 0.5, roughness: 0.3 });
+
+    const createFn = () => {
+      const paint = new THREE.MeshStandardMaterial({ metalness: 0.5, roughness: 0.5 });
+      const mesh = new THREE.Group();
+
+      const body = new THREE.Mesh(this.bodyGeometry, paint);
+      body.position.y = height * 0.3 + 0.03;
+      mesh.add(body);
+
+      const cabin = new THREE.Mesh(this.cabinGeometry, this.cabinMaterial);
+      cabin.position.set(0, height * 0.8 + 0.03, 0.05);
+      mesh.add(cabin);
+
+      mesh.visible = false;
+
+      return {
+        mesh,
+        paint,
+        position: mesh.position,   // For near-miss and collision checks
+        rotation: mesh.rotation,
+        halfWidth: width / 2,
+        halfLength: length / 2,
+        distance: 0,
+        lane: 0,
+        speed: 0,
+        cruiseSpeed: 0
+      };
+    };
+
+    const resetFn = (vehicle) => {
+      vehicle.mesh.visible = false;
+      this.scene.remove(vehicle.mesh);
+    };
+
+    return new ObjectPool(createFn, resetFn, this.config.maxVehicles);
+  }
+
+  /**
+   * Set traffic difficulty
+   * @param {number} difficulty - 0 (sparse) to 1 (dense)
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = THREE.MathUtils.clamp(difficulty, 0, 1);
+  }
+
+  /**
+   * Target number of active vehicles for the current difficulty
+   */
+  getTargetCount() {
+    const { minVehicles, maxVehicles } = this.config;
+    return Math.round(THREE.MathUtils.lerp(minVehicles, maxVehicles, this.difficulty));
+  }
+
+  /**
+   * Try to spawn one vehicle ahead of the player
+   * @param {number} playerDistance - Player distance along the road
+   * @returns {Object|null} Spawned vehicle, or null if the lane was blocked
+   */
+  spawnVehicle(playerDistance) {
+    const { lanes, spawnAhead, spawnSpread, minGap, minSpeed, maxSpeed } = this.config;
+
+    const lane = this.rng.int(lanes.length);
+    const distance = playerDistance + spawnAhead + this.rng.next() * spawnSpread;
+
+    // Keep spacing from other vehicles (any lane, so the road is never walled off)
+    const blocked = this.activeVehicles.some(v =>
+      Math.abs(v.distance - distance) < minGap
+    );
+    if (blocked) return null;
+
+    const vehicle = this.pool.acquire();
+    vehicle.lane = lane;
+    vehicle.distance = distance;
+    vehicle.cruiseSpeed = this.rng.range(minSpeed, maxSpeed);
+    vehicle.speed = vehicle.cruiseSpeed;
+    vehicle.paint.color.setHex(this.rng.pick(TRAFFIC_COLORS));
+
+    vehicle.mesh.visible = true;
+    this.scene.add(vehicle.mesh);
+    this.activeVehicles.push(vehicle);
+    this.placeVehicle(vehicle);
+
+    return vehicle;
+  }
+
+  /**
+   * Put a vehicle's mesh at its road distance and lane
+   */
+  placeVehicle(vehicle) {
+    const frame = this.road.getRoadFrameAt(vehicle.distance);
+    if (!frame) return;
+
+    const laneOffset = this.config.lanes[vehicle.lane];
+    vehicle.mesh.position.set(
+      frame.position.x - frame.tangent.z * laneOffset,
+      frame.position.y,
+      frame.position.z + frame.tangent.x * laneOffset
+    );
+    vehicle.mesh.rotation.y = Math.atan2(-frame.tangent.x, -frame.tangent.z);
+  }
+
+  /**
+   * Move traffic, spawn ahead and recycle behind
+   * @param {number} deltaTime
+   * @param {number} playerDistance - Player distance along the road
+   */
+  update(deltaTime, playerDistance) {
+    const { minGap, despawnBehind } = this.config;
+
+    // Drive: follow the vehicle ahead in the same lane
+    for (const vehicle of this.activeVehicles) {
+      let targetSpeed = vehicle.cruiseSpeed;
+
+      for (const other of this.activeVehicles) {
+        if (other === vehicle || other.lane !== vehicle.lane) continue;
+        const gap = other.distance - vehicle.distance;
+        if (gap > 0 && gap < minGap) {
+          targetSpeed = Math.min(targetSpeed, other.speed);
+        }
+      }
+
+      vehicle.speed = THREE.MathUtils.lerp(vehicle.speed, targetSpeed, Math.min(deltaTime * 2, 1));
+      vehicle.distance += vehicle.speed * deltaTime;
+      this.placeVehicle(vehicle);
+    }
+
+    // Recycle vehicles left behind (like updateInfiniteRoadCleanup for segments)
+    for (let i = this.activeVehicles.length - 1; i >= 0; i--) {
+      const vehicle = this.activeVehicles[i];
+      if (vehicle.distance < playerDistance - despawnBehind) {
+        this.activeVehicles.splice(i, 1);
+        this.pool.release(vehicle);
+      }
+    }
+
+    // Top up to the difficulty's density (one per frame to spread the cost)
+    if (this.activeVehicles.length < this.getTargetCount()) {
+      this.spawnVehicle(playerDistance);
+    }
+  }
+
+  /**
+   * Active vehicles as obstacles ({ position, halfWidth, halfLength, rotation })
+   */
+  getObstacles() {
+    return this.activeVehicles;
+  }
+
+  /**
+   * Recycle every vehicle (road reset)
+   */
+  clear() {
+    this.activeVehicles = [];
+    this.pool.releaseAll();
+  }
+
+  /**
+   * Get pool statistics for debugging
+   */
+  getStats() {
+    return {
+      activeVehicles: this.activeVehicles.length,
+      targetCount: this.getTargetCount(),
+      pool: this.pool.stats
+    };
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.clear();
+    this.pool.dispose((vehicle) => vehicle.paint.dispose());
+    this.bodyGeometry.dispose();
+    this.cabinGeometry.dispose();
+    this.cabinMaterial.dispose();
+  }
+}
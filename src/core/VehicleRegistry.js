@@ -0,0 +1,141 @@
+/**
+ * VehicleRegistry - Data-driven player car roster
+ *
+ * Vehicles are described in JSON (assets/vehicles.json, served at
+ * /vehicles.json) so the roster can change without touching code:
+ *
+ *   {
+ *     "default": "i30-n",
+ *     "vehicles": [{
+ *       "id": "i30-n", "name": "i30 N", "description": "...",
+ *       "model": "/path/car.glb" (or null for the placeholder body),
+ *       "scale": 0.28, "yaw": 180 (degrees, models face -Z in game),
+ *       "wheels": { "front": [node names], "rear": [node names] },
+ *       "powertrain": "ice" | "ev",
+ *       "stats": { "maxSpeed", "acceleration", "brakeForce", "steeringSpeed", ... },
+ *       "handling": { "steerCurve": [[speedRatio, x], ...], "gripCurve": [...] }
+ *     }]
+ *   }
+ *
+ * stats are Car options; steeringSpeed is the designer-facing name for
+ * Car.maxYawRate. The player's pick is persisted in localStorage.
+ */
+
+// Used when the roster cannot be loaded: placeholder body, default tuning
+const FALLBACK_VEHICLE = {
+  id: 'placeholder',
+  name: 'N Prototype',
+  description: '',
+  model: null,
+  powertrain: 'ice',
+  stats: {},
+  handling: {}
+};
+
+export class VehicleRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Roster JSON
+   * @param {string} options.storageKey - localStorage key for the selected vehicle
+   */
+  constructor(options = {}) {
+    this.url = options.url || '/vehicles.json';
+    this.storageKey = options.storageKey || 'hyundai_n_garage';
+    this.vehicles = new Map([[FALLBACK_VEHICLE.id, FALLBACK_VEHICLE]]);
+    this.defaultId = FALLBACK_VEHICLE.id;
+  }
+
+  /**
+   * Fetch and validate the roster (keeps the fallback vehicle on failure)
+   */
+  async load() {
+    try {
+      const response = await fetch(this.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+
+      const vehicles = (data.vehicles || [])
+        .filter(entry => {
+          if (!entry?.id || !entry.name) {
+            console.warn('VehicleRegistry: Skipping vehicle without id/name', entry);
+            return false;
+          }
+          return true;
+        })
+        .map(entry => this.normalize(entry));
+
+      if (vehicles.length === 0) throw new Error('No vehicles in roster');
+
+      this.vehicles = new Map(vehicles.map(vehicle => [vehicle.id, vehicle]));
+      this.defaultId = this.vehicles.has(data.default) ? data.default : vehicles[0].id;
+      console.log(`Vehicle roster loaded: ${vehicles.map(v => v.id).join(', ')}`);
+    } catch (error) {
+      console.warn(`Failed to load vehicle roster (${this.url}), using placeholder`, error);
+    }
+  }
+
+  /**
+   * Fill in defaults and map designer-facing stat names to Car options
+   */
+  normalize(entry) {
+    const stats = { ...entry.stats };
+    if (stats.steeringSpeed !== undefined) {
+      stats.maxYawRate ??= stats.steeringSpeed;
+      delete stats.steeringSpeed;
+    }
+
+    return {
+      ...FALLBACK_VEHICLE,
+      ...entry,
+      scale: entry.scale ?? 1,
+      yaw: entry.yaw ?? 0,
+      wheels: { front: [], rear: [], ...entry.wheels },
+      stats,
+      handling: { ...entry.handling }
+    };
+  }
+
+  /**
+   * All vehicles in roster order
+   */
+  list() {
+    return [...this.vehicles.values()];
+  }
+
+  get(id) {
+    return this.vehicles.get(id) ?? null;
+  }
+
+  /**
+   * The player's pick, or the roster default
+   */
+  getSelected() {
+    let id = null;
+    try {
+      id = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      // Storage unavailable (private mode): fall through to default
+    }
+    return this.get(id) ?? this.get(this.defaultId);
+  }
+
+  /**
+   * Remember the player's pick
+   * @param {string} id
+   * @returns {Object|null} The vehicle, or null if unknown
+   */
+  select(id) {
+    const vehicle = this.get(id);
+    if (!vehicle) {
+      console.warn(`VehicleRegistry: Unknown vehicle "${id}"`);
+      return null;
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, id);
+    } catch (e) {
+      console.warn('Failed to save selected vehicle');
+    }
+    return vehicle;
+  }
+}
@@ -5,11 +5,30 @@ import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { InputManager } from './core/InputManager.js';
+import { Random } from './utils/Random.js';
+import { getCarPart } from './core/LiveryManager.js';
 
 /**
  * Low Poly Scene - Simple viewer for low poly assets
  */
 
+// Editor shortcuts (action -> bindings), rebindable via InputManager
+const EDITOR_BINDINGS = {
+  toggleGrid: [{ key: 'KeyG' }],
+  translateMode: [{ key: 'KeyT' }],
+  rotateMode: [{ key: 'KeyR' }],
+  scaleMode: [{ key: 'KeyY' }],
+  deselect: [{ key: 'Escape' }],
+  printPosition: [{ key: 'KeyP' }],
+  resetCamera: [{ key: 'KeyC', shift: true }],
+  undo: [{ key: 'KeyZ', ctrl: true }],
+  zoomIn: [{ key: 'Equal' }, { key: 'NumpadAdd' }],
+  zoomOut: [{ key: 'Minus' }, { key: 'NumpadSubtract' }],
+  toggleUI: [{ key: 'KeyH' }],
+  snap: [{ key: 'ShiftLeft' }, { key: 'ShiftRight' }]
+};
+
 class LowPolyViewer {
   constructor() {
     this.container = document.getElementById('game-container');
@@ -64,6 +83,9 @@ class LowPolyViewer {
     this.savedScenes = {};  // Named scenes
     this.currentSceneName = null;
 
+    // Keyboard/gamepad shortcuts mapped to editor actions
+    this.input = null;
+
     // Undo history
     this.undoHistory = [];
     this.MAX_UNDO_STEPS = 50;
@@ -172,52 +194,40 @@ class LowPolyViewer {
     this.animate();
 
     // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      if (e.code === 'KeyG') this.toggleGrid();
-      if (e.code === 'KeyT') this.setTransformMode('translate');
-      if (e.code === 'KeyR') this.setTransformMode('rotate');
-      if (e.code === 'KeyY') this.setTransformMode('scale');
-      if (e.code === 'Escape') this.deselectObject();
-      if (e.code === 'KeyP') this.printSelectedPosition();
-
-      // Shift+C: Reset camera to origin
-      if (e.shiftKey && e.code === 'KeyC') {
-        this.resetCameraToOrigin();
-      }
-
-      // Ctrl+Z: Undo
-      if (e.ctrlKey && e.code === 'KeyZ') {
-        e.preventDefault();
-        this.undo();
-      }
-
-      // +/- or =/- keys: Precise zoom for screenshots
-      if (e.code === 'Equal' || e.code === 'NumpadAdd') {
-        this.preciseZoom(0.1); // Zoom in
-      }
-      if (e.code === 'Minus' || e.code === 'NumpadSubtract') {
-        this.preciseZoom(-0.1); // Zoom out
-      }
-
-      // H: Hide/show UI for screenshots
-      if (e.code === 'KeyH') {
-        this.toggleUI();
-      }
-
-      // Shift held: snap rotation to 90 degrees
-      if (e.shiftKey && this.transformControls) {
+    this.input = new InputManager({ bindings: EDITOR_BINDINGS, storageKey: 'lowpoly_bindings' });
+    this.input.onPress('toggleGrid', () => this.toggleGrid());
+    this.input.onPress('translateMode', () => this.setTransformMode('translate'));
+    this.input.onPress('rotateMode', () => this.setTransformMode('rotate'));
+    this.input.onPress('scaleMode', () => this.setTransformMode('scale'));
+    this.input.onPress('deselect', () => this.deselectObject());
+    this.input.onPress('printPosition', () => this.printSelectedPosition());
+
+    // Shift+C: Reset camera to origin
+    this.input.onPress('resetCamera', () => this.resetCameraToOrigin());
+
+    // Ctrl+Z: Undo
+    this.input.onPress('undo', () => this.undo(), { repeat: true });
+
+    // +/- or =/- keys: Precise zoom for screenshots (repeats while held)
+    this.input.onPress('zoomIn', () => this.preciseZoom(0.1), { repeat: true });
+    this.input.onPress('zoomOut', () => this.preciseZoom(-0.1), { repeat: true });
+
+    // H: Hide/show UI for screenshots
+    this.input.onPress('toggleUI', () => this.toggleUI());
+
+    // Shift held: snap rotation to 90 degrees
+    this.input.onPress('snap', () => {
+      if (this.transformControls) {
         this.transformControls.setRotationSnap(Math.PI / 2);  // 90 degrees
         this.transformControls.setTranslationSnap(1);  // 1 unit grid snap
       }
     });
 
-    document.addEventListener('keyup', (e) => {
-      // Shift released: disable snapping
-      if (e.code === 'ShiftLeft' || e.code === 'ShiftRight') {
-        if (this.transformControls) {
-          this.transformControls.setRotationSnap(null);
-          this.transformControls.setTranslationSnap(null);
-        }
+    // Shift released: disable snapping
+    this.input.onRelease('snap', () => {
+      if (this.transformControls) {
+        this.transformControls.setRotationSnap(null);
+        this.transformControls.setTranslationSnap(null);
       }
     });
 
@@ -1187,20 +1197,15 @@ class LowPolyViewer {
       // Apply materials based on mesh/material names
       meshes.forEach((node) => {
         const origMat = node.material;
-        const matName = (origMat.name || '').toLowerCase();
-        const meshName = (node.name || '').toLowerCase();
 
         // Recompute normals for smooth toon bands (Depth Fix)
         node.geometry.computeVertexNormals();
 
-        // Check if this is a window (check material name primarily)
-        const isWindow = matName.includes('window');
-
-        // Check if this is a wheel (check mesh name)
-        const isWheel = meshName.includes('wheel') || meshName.includes('3dwheel');
-
-        // Check if this is the main body (but not window or wheel)
-        const isBody = (meshName.includes('body') || meshName.includes('car_body')) && !isWindow && !isWheel;
+        // Window by material name, wheel/body by mesh name (same rules as the livery)
+        const part = getCarPart(node);
+        const isWindow = part === 'window';
+        const isWheel = part === 'wheel';
+        const isBody = part === 'body';
 
         let toonMat;
 
@@ -1592,14 +1597,8 @@ class LowPolyViewer {
 
     // Seeded PRNG for deterministic road generation (mulberry32)
     const SEED = 12345;
-    let seedState = SEED;
-    const seededRandom = () => {
-      seedState |= 0;
-      seedState = seedState + 0x6D2B79F5 | 0;
-      let t = Math.imul(seedState ^ seedState >>> 15, 1 | seedState);
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
+    const rng = new Random(SEED);
+    const seededRandom = () => rng.next();
 
     // Load templates
     const templates = {};
@@ -2789,6 +2788,7 @@ class LowPolyViewer {
 
   animate() {
     requestAnimationFrame(() => this.animate());
+    this.input?.update();
     this.controls.update();
     this.renderer.render(this.scene, this.camera);
   }
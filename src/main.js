@@ -3,6 +3,34 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { Car } from './components/Car.js';
+import { GrinShift } from './components/GrinShift.js';
+import { POWERTRAINS } from './components/Powertrain.js';
+import { TouchControls } from './components/TouchControls.js';
+import { CameraController } from './components/CameraController.js';
+import { InputManager, GAME_BINDINGS } from './core/InputManager.js';
+import { StateMachine } from './core/StateMachine.js';
+import { ScoreSystem } from './core/ScoreSystem.js';
+import { TrafficManager } from './core/TrafficManager.js';
+import { CollisionSystem, OrientedBox } from './core/CollisionSystem.js';
+import { Random } from './utils/Random.js';
+import { DailyChallenge } from './core/DailyChallenge.js';
+import { AudioManager } from './core/AudioManager.js';
+import { VehicleRegistry } from './core/VehicleRegistry.js';
+import { LiveryManager, PAINT_COLORS, WHEEL_FINISHES, STRIPE_COLORS } from './core/LiveryManager.js';
+import { PhotoMode, PHOTO_FRAMES } from './core/PhotoMode.js';
+import { ShareCard } from './core/ShareCard.js';
+import { CampaignConfig } from './core/CampaignConfig.js';
+import { LeadCapture } from './core/LeadCapture.js';
+import { ConsentManager } from './core/ConsentManager.js';
+import { Analytics } from './core/Analytics.js';
+import { EmbedBridge } from './core/EmbedBridge.js';
+import { i18n, t } from './core/I18n.js';
+import { MaterialFactory } from './utils/MaterialFactory.js';
+import { setBrand, getBrand } from './utils/Branding.js';
+import { applyBrandTheme } from './ui/Theme.js';
+import { GameScreens } from './ui/GameScreens.js';
+import { Hud } from './ui/Hud.js';
 
 /**
  * Hyundai N Mini Game - Procedural Road Generation
@@ -13,6 +41,26 @@ import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 const GRID_CELL_SIZE = 2;           // 2m grid cells for collision
 const MAX_SAME_DIR_CURVES = 2;      // Max consecutive same-direction curves
 const MIN_STRAIGHTS_AFTER_CURVE = 1; // Force straights after curve
+const ROAD_SURFACE_HEIGHT = 0.03;   // Top of the road pack meshes
+const METERS_PER_UNIT = 5;          // Road pack scale (car is 0.35 units wide)
+const CRASH_SHAKE = 0.1;            // Camera shake for a head-on hit at top speed
+const DRIFT_POPUP_MIN_TIME = 0.8;   // Seconds of drift before the HUD calls it out
+const TURNTABLE_SPEED = 0.6;        // Garage preview rotation (rad/s)
+const PHOTO_EXPORT_SCALES = [1, 2, 4]; // Photo export sizes (x screen resolution)
+const COUNTDOWN_SECONDS = 3;
+const EMBED_PROGRESS_INTERVAL = 1;  // Seconds between 'progress' events to the host page
+const EMBED_SCORE_INTERVAL = 0.25;  // Fastest 'score' events are sent
+const TRAFFIC_FULL_DENSITY_AT = 3000; // Run distance (m) where traffic peaks
+
+// Player car tuning for the road pack scale (road is ~1.8m wide)
+// Vehicle roster stats (assets/vehicles.json) override these per car
+const CAR_SETTINGS = {
+  maxSpeed: 8,
+  acceleration: 3,
+  deceleration: 1.5,
+  brakeForce: 6,
+  maxLateralOffset: 0.55
+};
 
 class AssetViewer {
   constructor() {
@@ -30,6 +78,7 @@ class AssetViewer {
     this.dracoLoader = null;
     this.textureLoader = null;
     this.rgbeLoader = null;
+    this.materials = null;          // MaterialFactory (branded materials)
 
     // Asset management
     this.loadedAssets = [];
@@ -49,30 +98,98 @@ class AssetViewer {
     this.despawnBehindDistance = 10; // Remove segments this far behind car (aggressive cleanup)
     this.infiniteRoadEnabled = true;
 
+    // Seeded generation: the same seed rebuilds the same road and city
+    this.seed = null;
+    this.seedFromUrl = false;        // ?seed= keeps the seed across restarts
+    this.rng = new Random();         // Road and building generation
+    this.trafficRng = this.rng.fork('traffic');  // Separate stream, traffic pace depends on frame rate
+
+    // Run mode: 'free' (random or ?seed=) or 'daily' (date seed, fixed rules)
+    this.mode = 'free';
+    this.daily = new DailyChallenge();
+    this.dailyDateKey = null;
+
     // Helpers
     this.gridHelper = null;
     this.axesHelper = null;
 
     // Car following state
-    this.car = null;
-    this.carSpeed = 5; // units per second
+    this.car = null;                // Player Car, driven along segmentPaths
+    this.vehicles = new VehicleRegistry();
+    this.vehicle = null;            // Roster entry the car was built from
+    this.carVehicleId = null;
+    this.livery = new LiveryManager();
+    this.powertrainOverride = null; // POWERTRAINS key forcing every car's powertrain (?powertrain=ev)
+    this.isSwitchingVehicle = false;
     this.currentSegmentIndex = 0;
     this.currentPathT = 0; // 0-1 progress along current segment path
     this.segmentPaths = []; // Array of CatmullRomCurve3 for each road piece
+    this.removedPathDistance = 0; // Length of paths already reaped behind the car
     this.isCarMoving = false;
     this.lastFrameTime = 0;
     this.debugPaths = false;
-    this.carTargetQuaternion = new THREE.Quaternion(); // For smooth car rotation
 
-    // Chase camera state
+    // Keyboard, gamepad and touch mapped to named actions
+    this.input = null;
+
+    // On-screen pedals and steering (touch devices only)
+    this.touchControls = null;
+
+    // Game session: title -> countdown -> racing <-> paused -> gameOver
+    this.gameState = null;
+    this.screens = null;
+    this.countdownRemaining = 0;
+    this.isRestarting = false;
+    this.runStats = { time: 0, topSpeed: 0, startDistance: 0 };
+
+    // Scoring (distance, speed tiers, near-miss combos)
+    this.score = null;
+
+    // Ambient AI traffic (pooled, spawned ahead on segmentPaths)
+    this.traffic = null;
+
+    // Car vs buildings/traffic (oriented boxes, grid broadphase)
+    this.collisions = null;
+    this.carBox = new OrientedBox();
+
+    // N Grin Shift boost (created with the car)
+    this.grinShift = null;
+
+    // Synthesised engine, tyre and UI sound (unlocked on first gesture)
+    this.audio = null;
+
+    // In-game HUD (speedometer, distance, score, combo, boost)
+    this.hud = null;
+    this.uiHidden = false;
+
+    // Chase camera state (rigs live in CameraController, off = orbit controls)
     this.chaseCamEnabled = true;
-    this.chaseCamOffset = new THREE.Vector3(0, 3, -5); // Behind and above car
-    this.chaseCamLookAhead = 1.5; // Look at point ahead of car
-    this.chaseCamSmoothSpeed = 4; // Elastic follow speed
-    this.chaseCamRotationSmooth = 3; // Rotation smoothing
-    this.currentCamPos = new THREE.Vector3();
-    this.currentCamLookAt = new THREE.Vector3();
-    this.smoothedTangent = new THREE.Vector3(0, 0, -1); // Smoothed direction for camera
+    this.cameraController = null;
+
+    // Photo mode (opened from a run, returns to the pause screen)
+    this.photo = null;
+
+    // Result share card (generated on the results screen)
+    this.shareCard = null;
+    this.shareResults = null;
+    this.shareBlob = null;
+    this.lastResults = null;      // Redrawn on the results screen after a language switch
+
+    // Campaign config (per market) and the optional post-run lead form
+    this.campaign = new CampaignConfig();
+    this.leads = null;
+    this.leadSubmitted = false;
+    this.isSendingLead = false;
+
+    // Gameplay analytics, only with the player's consent
+    this.consent = new ConsentManager();
+    this.analytics = null;
+    this.sessionTracked = false;
+
+    // Embedded in a campaign page (?embed=1): host API over postMessage
+    this.embedded = false;
+    this.embed = null;
+    this.embedTimers = { progress: 0, score: 0, lastScore: null };
 
     // Building generation state
     this.buildingTemplates = [];  // Loaded building templates with metadata
@@ -82,11 +199,26 @@ class AssetViewer {
   }
 
   async init() {
+    // Language and brand first: they theme the loading screen and everything built after
+    await this.campaign.load();
+    await this.setupLanguage();
+    this.setupBrand();
+
     this.setupRenderer();
     this.setupScene();
     this.setupLoaders();
     this.setupLighting();
     this.setupControls();
+    this.setupTouchControls();
+    this.setupSeed();
+    this.setupEmbed();
+    this.setupPowertrain();
+    this.setupAudio();
+    this.setupTraffic();
+    this.setupCollisions();
+    this.setupCamera();
+    this.setupPhotoMode();
+    this.setupGameStates();
     this.setupHelpers();
 
     // Load environment map
@@ -119,12 +251,22 @@ class AssetViewer {
     // Car controls
     window.startCar = () => this.startCar();
     window.stopCar = () => this.stopCar();
-    window.setCarSpeed = (speed) => { this.carSpeed = speed; console.log(`Car speed: ${speed}`); };
+    window.setCarSpeed = (speed) => {
+      CAR_SETTINGS.maxSpeed = speed;
+      if (this.car) this.car.maxSpeed = speed;
+      console.log(`Car top speed: ${speed}`);
+    };
     window.debugPaths = (on = true) => { this.debugPaths = on; console.log(`Debug paths: ${on}`); };
     window.showPaths = () => this.visualizeAllPaths();
 
+    // Input bindings
+    window.rebind = (action, index, scale) => this.rebindAction(action, index, scale);
+    window.listBindings = () => this.listBindings();
+    window.resetBindings = () => { this.input.resetBindings(); console.log('Bindings reset to defaults'); };
+
     // Chase camera controls
     window.toggleChaseCamera = () => this.toggleChaseCamera();
+    window.setCameraRig = (name) => this.setCameraRig(name);
     window.addCarAxes = () => this.addCarAxes();
 
     // Building generation controls
@@ -132,7 +274,18 @@ class AssetViewer {
     window.clearBuildings = () => this.clearBuildings();
 
     // Infinite road controls
-    window.initInfiniteRoad = (count) => this.initInfiniteRoad(count);
+    window.initInfiniteRoad = (count, seed) => this.initInfiniteRoad(count, seed);
+    window.endRun = () => this.endRun();
+    window.trafficStats = () => console.log(this.traffic.getStats());
+    window.collisionStats = () => console.log(this.collisions.getStats());
+    window.setVolume = (bus, volume) => this.audio.setVolume(bus, volume);
+    window.setPowertrain = (name) => this.setPowertrain(name);
+    window.listVehicles = () => console.table(this.vehicles.list().map(({ id, name, powertrain }) => ({ id, name, powertrain })));
+    window.setConsent = (granted = true) => this.setConsent(granted);
+    window.analyticsBuffer = () => console.table(this.analytics?.sinks.get('storage')?.read().map(({ name, time, props }) => ({ name, time, ...props })));
+    window.setLanguage = (language) => this.setLanguage(language);
+    window.setUnits = (units) => i18n.setUnits(units);
+    window.flushLeads = async () => console.log(`Sent ${await this.leads?.flush() ?? 0}, queued ${this.leads?.getQueueSize() ?? 0}`);
     window.toggleInfiniteRoad = () => {
       this.infiniteRoadEnabled = !this.infiniteRoadEnabled;
       console.log(`Infinite road: ${this.infiniteRoadEnabled ? 'ON' : 'OFF'}`);
@@ -151,19 +304,104 @@ class AssetViewer {
       uvChannel: 1
     });
 
+    // Player's car from the roster
+    await this.vehicles.load();
+    this.vehicle = this.vehicles.getSelected();
+
+    // Consent, analytics and lead form for this market
+    this.setupAnalytics();
+    this.setupLeadCapture();
+    this.embed?.setAllowedOrigins(this.campaign.get('embed').allowedOrigins);
+
+    // Language picker, and redraw everything when the language changes
+    this.screens.setLanguages(i18n.getLanguages(), i18n.getLanguage());
+    this.hud.refresh();
+    i18n.on('change', () => this.onLanguageChange());
+
     // Initialize infinite road system
     await this.initInfiniteRoad(5);
 
-    // Start car
+    // Place car on the road and show the title screen
     await this.startCar();
+    this.gameState.transition('title');
+    this.embed?.ready({ seed: this.seed, vehicle: this.vehicle.id });
 
-    console.log('%c Infinite Procedural City Ready ', 'background: #0066cc; color: white; padding: 4px 8px; border-radius: 4px;');
-    console.log('Keys: [C] Toggle Camera | [G] Toggle Grid | [Space] Pan');
+    console.log('%c Infinite Procedural City Ready ', `background: ${getBrand().palette.primary}; color: white; padding: 4px 8px; border-radius: 4px;`);
+    console.log('Keys: [W/S or Arrows] Drive | [Space] Handbrake | [N] Boost | [Q/E] Shift | [T] Auto/Manual | [C] Cycle Camera | [F] Photo Mode | [Esc/P] Pause | [G] Toggle Grid | [Space] Pan (orbit view)');
     console.log('Commands:');
     console.log('  initInfiniteRoad(5)     - Reset infinite road with N initial segments');
+    console.log('  initInfiniteRoad(5, 42) - Rebuild road and city from a seed');
     console.log('  toggleInfiniteRoad()    - Toggle infinite spawning on/off');
     console.log('  startCar() / stopCar()  - Control car movement');
-    console.log('  setCarSpeed(15)         - Set car speed (units/sec)');
+    console.log('  setCarSpeed(15)         - Set car top speed (units/sec)');
+    console.log('  rebind("accelerate")    - Bind action to next key/button pressed');
+    console.log('  listBindings()          - Show input bindings');
+    console.log('  trafficStats()          - Show traffic pool statistics');
+    console.log('  collisionStats()        - Show collider statistics');
+    console.log('  setVolume("sfx", 0.5)   - Set master/sfx volume (0-1)');
+    console.log('  setPowertrain("ev")     - Force powertrain (ice/ev) for the next run');
+    console.log('  listVehicles()          - Show the vehicle roster');
+    console.log('  flushLeads()            - Send lead forms queued while offline');
+    console.log('  setConsent(true)        - Grant or withdraw analytics consent');
+    console.log('  analyticsBuffer()       - Show events kept in localStorage');
+    console.log('  setLanguage("de")       - Switch UI language (saved as the player\'s choice)');
+    console.log('  setUnits("imperial")    - Force metric/imperial units (null follows the language)');
+    console.log('  setCameraRig("hood")    - Camera rig (chase/far/hood/bumper/top/cinematic)');
+    console.log('  toggleChaseCamera()     - Switch to the free orbit view and back');
+  }
+
+  /**
+   * UI language: the campaign's languages, picked from the URL, the player's
+   * choice or the browser (see I18n.detect)
+   */
+  async setupLanguage() {
+    i18n.configure(this.campaign.get('i18n'));
+    await i18n.setLanguage(i18n.detect());
+    i18n.apply();
+    console.log(`Language: ${i18n.getLanguage()} (${i18n.getDirection()}, ${i18n.getUnits()})`);
+  }
+
+  /**
+   * Language picker (title screen) and setLanguage() helper
+   */
+  setLanguage(language) {
+    i18n.setLanguage(language, { remember: true });
+  }
+
+  /**
+   * Redraw all text after a language or units change
+   */
+  onLanguageChange() {
+    i18n.apply();
+    applyBrandTheme(getBrand());
+    this.hud.refresh();
+    this.touchControls?.updateLabels();
+    this.screens.setLanguages(i18n.getLanguages(), i18n.getLanguage());
+    this.screens.setConsentCopy(this.campaign.get('consent'));
+    this.screens.setLeadForm(this.campaign.get('lead'));
+    this.updateLeadCta();
+    this.screens.setDailyTarget(this.daily.getBest());
+    this.screens.setVehicle(this.vehicle.name, t(`powertrain.${this.getPowertrain()}`));
+
+    if (this.gameState.is('garage')) {
+      this.screens.setGarage(this.vehicles.list(), this.vehicle.id);
+      this.updateLiveryScreen();
+    }
+    if (this.gameState.is('photo')) this.updatePhotoScreen();
+    if (this.lastResults) this.screens.setResults(this.lastResults);
+    // The card has text on it too
+    if (this.gameState.is('gameOver') && this.lastResults) this.prepareShareCard(this.lastResults);
+
+    console.log(`Language: ${i18n.getLanguage()} (${i18n.getDirection()}, ${i18n.getUnits()})`);
+  }
+
+  /**
+   * Campaign brand: page theme, branded materials and images, car defaults
+   */
+  setupBrand() {
+    setBrand(this.campaign.get('brand'));
+    applyBrandTheme(getBrand());
+    this.livery.setDefaults(getBrand().car.livery);
   }
 
   setupRenderer() {
@@ -200,6 +438,7 @@ class AssetViewer {
 
     this.textureLoader = new THREE.TextureLoader();
     this.rgbeLoader = new RGBELoader();
+    this.materials = new MaterialFactory();
   }
 
   setupLighting() {
@@ -228,20 +467,237 @@ class AssetViewer {
       RIGHT: THREE.MOUSE.ROTATE
     };
 
-    // Spacebar to pan
-    document.addEventListener('keydown', (e) => {
-      if (e.code === 'Space') {
-        e.preventDefault();
-        this.controls.mouseButtons.LEFT = THREE.MOUSE.PAN;
+    this.input = new InputManager({ bindings: GAME_BINDINGS, storageKey: 'hyundai_n_bindings' });
+
+    // Hold pan action (Space) to pan with LMB (orbit view only, Space is also the handbrake)
+    this.input.onPress('pan', () => {
+      if (this.chaseCamEnabled) return;
+      this.controls.mouseButtons.LEFT = THREE.MOUSE.PAN;
+    });
+    this.input.onRelease('pan', () => {
+      this.controls.mouseButtons.LEFT = THREE.MOUSE.ROTATE;
+    });
+
+    this.input.onPress('toggleGrid', () => {
+      if (!this.embedded) this.toggleGrid();
+    });
+    this.input.onPress('toggleUI', () => this.toggleUI());
+    this.input.onPress('toggleCamera', () => this.cycleCamera());
+    this.input.onPress('pause', () => this.togglePause());
+    this.input.onPress('photo', () => this.openPhotoMode());
+
+    // Driving actions only count while racing
+    this.input.onPress('boost', () => {
+      if (this.gameState.is('racing')) this.grinShift.activate();
+    });
+    this.input.onPress('shiftUp', () => {
+      if (this.gameState.is('racing')) this.car.shift(1);
+    });
+    this.input.onPress('shiftDown', () => {
+      if (this.gameState.is('racing')) this.car.shift(-1);
+    });
+    this.input.onPress('toggleTransmission', () => this.toggleTransmission());
+    this.input.onPress('eShift', () => this.toggleEShift());
+    this.input.onPress('activeSound', () => this.cycleSoundProfile());
+    this.input.onPress('start', () => this.onStartPressed());
+
+    // Pause when the tab is hidden (rAF stops, so the run would otherwise jump)
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden && this.gameState?.is('racing')) {
+        this.gameState.transition('paused');
       }
-      if (e.code === 'KeyG') this.toggleGrid();
-      if (e.code === 'KeyC') this.toggleChaseCamera();
     });
+  }
+
+  /**
+   * Read ?seed= from the URL (number or any text)
+   */
+  setupSeed() {
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam) {
+      this.seed = Random.parseSeed(seedParam);
+      this.seedFromUrl = true;
+      console.log(`Seed from URL: ${this.seed}`);
+    }
+  }
+
+  /**
+   * Embed mode (?embed=1): hide dev UI and listen for the host page
+   * Commands are accepted once init has finished (EmbedBridge.ready)
+   */
+  setupEmbed() {
+    this.embedded = new URLSearchParams(window.location.search).get('embed') === '1';
+    if (!this.embedded) return;
+
+    document.body.classList.add('embed');
+    this.embed = new EmbedBridge({
+      start: ({ mode }) => this.embedStart(mode),
+      pause: () => {
+        if (!this.gameState.is('racing')) throw new Error(`Cannot pause from ${this.gameState.current}`);
+        this.togglePause();
+        return { state: this.gameState.current };
+      },
+      resume: () => {
+        if (!this.gameState.is('paused')) throw new Error(`Cannot resume from ${this.gameState.current}`);
+        this.togglePause();
+        return { state: this.gameState.current };
+      },
+      mute: ({ muted = true }) => {
+        this.audio.setMuted(Boolean(muted));
+        return { muted: this.audio.muted };
+      },
+      setSeed: ({ seed }) => this.embedSetSeed(seed)
+    });
+    console.log('Embed mode');
+  }
 
-    document.addEventListener('keyup', (e) => {
-      if (e.code === 'Space') {
-        this.controls.mouseButtons.LEFT = THREE.MOUSE.ROTATE;
+  /**
+   * Host 'start': a run from the title (free or daily), or a restart from the results
+   */
+  embedStart(mode = 'free') {
+    if (this.gameState.is('title')) {
+      if (mode === 'daily') {
+        this.startDailyDrive();
+      } else {
+        this.gameState.transition('countdown');
       }
+    } else if (this.gameState.is('gameOver')) {
+      this.restartRun();
+    } else {
+      throw new Error(`Cannot start from ${this.gameState.current}`);
+    }
+    return { mode: this.mode };
+  }
+
+  /**
+   * Host 'setSeed': city for the next free run (rebuilt now on the title screen)
+   */
+  async embedSetSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') throw new Error('Missing seed');
+
+    this.seed = Random.parseSeed(String(seed));
+    this.seedFromUrl = true;
+    // Already on the title screen: rebuild in place (title -> title is not a transition)
+    if (this.gameState.is('title')) {
+      await this.restartRun(null);
+    }
+    return { seed: this.seed };
+  }
+
+  /**
+   * Where the session is, for the host page's 'progress' event
+   */
+  getEmbedProgress() {
+    const inRun = ['racing', 'paused', 'photo', 'gameOver', 'lead'].includes(this.gameState.current);
+    return {
+      state: this.gameState.current,
+      mode: this.mode,
+      distance: inRun ? this.score.distance : 0,
+      time: inRun ? this.runStats.time : 0
+    };
+  }
+
+  /**
+   * Throttled 'progress' and 'score' events while racing
+   */
+  reportEmbedRun(deltaTime) {
+    const timers = this.embedTimers;
+    timers.progress += deltaTime;
+    timers.score += deltaTime;
+
+    if (timers.progress >= EMBED_PROGRESS_INTERVAL) {
+      timers.progress = 0;
+      this.embed.post('progress', this.getEmbedProgress());
+    }
+
+    const { score, combo } = this.score.getState();
+    if (timers.score >= EMBED_SCORE_INTERVAL && score !== timers.lastScore) {
+      timers.score = 0;
+      timers.lastScore = score;
+      this.embed.post('score', { score, combo });
+    }
+  }
+
+  setupPowertrain() {
+    const param = new URLSearchParams(window.location.search).get('powertrain');
+    if (param && POWERTRAINS[param]) {
+      this.powertrainOverride = param;
+      console.log(`Powertrain from URL: ${param}`);
+    }
+  }
+
+  setupAudio() {
+    this.audio = new AudioManager();
+    this.audio.unlockOnGesture();
+  }
+
+  setupTraffic() {
+    this.traffic = new TrafficManager(this.scene, this, {}, this.trafficRng);
+  }
+
+  setupCollisions() {
+    this.collisions = new CollisionSystem({ cellSize: GRID_CELL_SIZE });
+    this.collisions.setDynamicProvider(() => this.traffic.getObstacles());
+    this.collisions.on('crash', (event) => this.onCrash(event));
+  }
+
+  /**
+   * Player camera rigs: follow the road ahead, stay out of the facades
+   * (targeted at the car once it exists)
+   */
+  setupCamera() {
+    this.cameraController = new CameraController(this.camera, null, {
+      road: this,
+      collisions: this.collisions
+    });
+  }
+
+  setupPhotoMode() {
+    this.photo = new PhotoMode(this.renderer, this.scene, this.camera, { container: this.container });
+    this.shareCard = new ShareCard(this.renderer, this.scene);
+  }
+
+  setupTouchControls() {
+    this.touchControls = new TouchControls(this.container);
+    if (this.touchControls.enabled) {
+      this.input.attachTouch(this.touchControls);
+      console.log('Touch controls enabled');
+    }
+  }
+
+  /**
+   * Read driving actions into a Car input state
+   */
+  getDriveInput() {
+    return {
+      accelerate: Math.max(0, this.input.getValue('accelerate')),
+      brake: Math.max(0, this.input.getValue('brake')),
+      steer: this.input.getValue('steer'),
+      handbrake: this.input.isDown('handbrake')
+    };
+  }
+
+  /**
+   * Rebind an action to the next key or gamepad button pressed
+   * @param {string} action - Action name (see GAME_BINDINGS)
+   * @param {number} index - Which of the action's bindings to replace
+   * @param {number} scale - Axis direction for steer (-1 left, 1 right)
+   */
+  async rebindAction(action, index = 0, scale = 1) {
+    console.log(`Press a key or gamepad button for "${action}"...`);
+    const binding = await this.input.captureBinding();
+    if (scale !== 1) binding.scale = scale;
+    this.input.rebind(action, binding, index);
+    console.log(`${action} -> ${InputManager.describeBinding(binding)}`);
+  }
+
+  /**
+   * Print current bindings
+   */
+  listBindings() {
+    console.log('Input bindings:');
+    Object.entries(this.input.bindings).forEach(([action, bindings]) => {
+      console.log(`  ${action}: ${bindings.map(b => InputManager.describeBinding(b)).join(', ')}`);
     });
   }
 
@@ -264,9 +720,9 @@ class AssetViewer {
    * Add axes helper to car for debugging
    */
   addCarAxes() {
-    if (this.car) {
+    if (this.car?.mesh) {
       const carAxes = new THREE.AxesHelper(3);
-      this.car.add(carAxes);
+      this.car.mesh.add(carAxes);
       console.log('Car axes added: RED = +X | GREEN = +Y | BLUE = +Z');
     }
   }
@@ -531,6 +987,23 @@ class AssetViewer {
     this.gridHelper.visible = !this.gridHelper.visible;
   }
 
+  toggleUI() {
+    const elements = [
+      document.getElementById('controls-hint'),
+      document.getElementById('photo-panel')
+    ];
+
+    this.uiHidden = !this.uiHidden;
+    elements.forEach(el => {
+      if (el) el.style.display = this.uiHidden ? 'none' : '';
+    });
+
+    // HUD follows the same toggle
+    this.hud?.setHiddenByUser(this.uiHidden);
+
+    console.log(this.uiHidden ? 'UI hidden (press H to show)' : 'UI visible');
+  }
+
   // ============================================
   // PROCEDURAL ROAD GENERATION
   // ============================================
@@ -695,14 +1168,10 @@ class AssetViewer {
   }
 
   /**
-   * Shuffle array in place
+   * Shuffle array in place (seeded)
    */
   shuffle(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
+    return this.rng.shuffle(array);
   }
 
   /**
@@ -795,6 +1264,10 @@ class AssetViewer {
     this.straightsSinceCurve = 99;
     this.currentSegmentIndex = 0;
     this.currentPathT = 0;
+    this.removedPathDistance = 0;
+    if (this.car) this.car.reset();
+    this.traffic?.clear();
+    this.collisions?.clearStatic();
     // Also clear buildings when road is cleared
     this.clearBuildings();
     // Clear active segments
@@ -812,8 +1285,14 @@ class AssetViewer {
   /**
    * Initialize infinite road with starting segments
    */
-  async initInfiniteRoad(initialCount = 5) {
-    console.log('Initializing infinite road...');
+  async initInfiniteRoad(initialCount = 5, seed = this.seed ?? Random.randomSeed()) {
+    // Reseed first so the whole road and city come from this seed
+    this.rng.setSeed(seed);
+    this.seed = this.rng.seed;
+    this.trafficRng = this.rng.fork('traffic');
+    if (this.traffic) this.traffic.rng = this.trafficRng;
+
+    console.log(`Initializing infinite road (seed ${this.seed})...`);
 
     // Clear any existing road
     this.clearRoad();
@@ -843,7 +1322,7 @@ class AssetViewer {
   spawnNextSegment() {
     // Pick random straight road piece
     const roadNames = ['road_long', 'road_short'];
-    const randomName = roadNames[Math.floor(Math.random() * roadNames.length)];
+    const randomName = this.rng.pick(roadNames);
 
     const asset = this.loadedAssets.find(a => a.name === randomName);
     if (!asset) {
@@ -938,7 +1417,7 @@ class AssetViewer {
 
     while (cursorDistance < pathLength) {
       // Pick random building from pool
-      const template = this.buildingTemplates[Math.floor(Math.random() * this.buildingTemplates.length)];
+      const template = this.rng.pick(this.buildingTemplates);
       const buildingWidth = template.width;
 
       // Calculate cursor world position
@@ -956,9 +1435,10 @@ class AssetViewer {
       // Add to scene (not parented for now, but tracked with segment)
       this.scene.add(instance);
       buildings.push(instance);
+      this.collisions.addStatic(instance, template.bounds);
 
       // Advance cursor
-      const padding = 0.01 + Math.random() * 0.09;
+      const padding = 0.01 + this.rng.next() * 0.09;
       cursorDistance += buildingWidth + padding;
     }
 
@@ -1031,7 +1511,8 @@ class AssetViewer {
     const roadIndex = this.roadPieces.indexOf(segment.road);
     if (roadIndex !== -1) {
       this.roadPieces.splice(roadIndex, 1);
-      this.segmentPaths.splice(roadIndex, 1);
+      const [removedPath] = this.segmentPaths.splice(roadIndex, 1);
+      if (removedPath) this.removedPathDistance += removedPath.getLength();
       // Adjust car's segment index
       this.currentSegmentIndex = Math.max(0, this.currentSegmentIndex - 1);
     }
@@ -1049,6 +1530,7 @@ class AssetViewer {
     // Remove and dispose buildings
     segment.buildings.forEach(building => {
       this.scene.remove(building);
+      this.collisions.removeStatic(building);
       building.traverse((child) => {
         if (child.isMesh) {
           if (child.geometry) child.geometry.dispose();
@@ -1220,36 +1702,72 @@ class AssetViewer {
   }
 
   /**
-   * Create car - placeholder box
+   * Locate a distance along the road on segmentPaths
+   * @param {number} distance - Distance from the start of the road
+   * @returns {{ index: number, t: number }|null} Segment index and 0-1 progress
    */
-  async createCar() {
-    if (this.car) {
-      this.scene.remove(this.car);
+  locateOnRoad(distance) {
+    if (this.segmentPaths.length === 0) return null;
+
+    // Paths reaped behind the car still count towards the distance
+    let segmentStart = this.removedPathDistance;
+    const lastIndex = this.segmentPaths.length - 1;
+
+    for (let i = 0; i <= lastIndex; i++) {
+      const length = this.segmentPaths[i].getLength();
+      if (distance < segmentStart + length || i === lastIndex) {
+        const t = length > 0 ? (distance - segmentStart) / length : 0;
+        return { index: i, t: THREE.MathUtils.clamp(t, 0, 1) };
+      }
+      segmentStart += length;
     }
 
+    return null;
+  }
+
+  /**
+   * Road provider for Car - centreline frame at a distance along segmentPaths
+   * @param {number} distance - Distance from the start of the road
+   * @returns {{ position: THREE.Vector3, tangent: THREE.Vector3 }|null}
+   */
+  getRoadFrameAt(distance) {
+    const location = this.locateOnRoad(distance);
+    if (!location) return null;
+
+    const path = this.segmentPaths[location.index];
+    const position = path.getPointAt(location.t);
+    position.y = ROAD_SURFACE_HEIGHT;
+
+    const tangent = path.getTangentAt(location.t);
+    tangent.y = 0; // Keep horizontal
+    tangent.normalize();
+
+    return { position, tangent };
+  }
+
+  /**
+   * Create car - placeholder box
+   * @returns {THREE.Group} Car body sized for the road pack
+   */
+  createCar() {
     const carGroup = new THREE.Group();
 
+    // Named like a real car model so the livery can find the paint
+    // (offsets baked into the geometry so body and roof share one space for stripes)
+    const paint = this.materials.createPaintMaterial();
+
     // Main body
-    const body = new THREE.Mesh(
-      new THREE.BoxGeometry(0.35, 0.15, 0.75),
-      new THREE.MeshStandardMaterial({ color: 0x2233ff, metalness: 0.6, roughness: 0.4 })
-    );
-    body.position.y = 0.1;
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.15, 0.75).translate(0, 0.1, 0), paint);
+    body.name = 'Car_Body';
     carGroup.add(body);
 
     // Roof section
-    const roof = new THREE.Mesh(
-      new THREE.BoxGeometry(0.3, 0.1, 0.4),
-      new THREE.MeshStandardMaterial({ color: 0x2233ff, metalness: 0.6, roughness: 0.4 })
-    );
-    roof.position.set(0, 0.225, -0.05);
+    const roof = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.1, 0.4).translate(0, 0.225, 0.05), paint);
+    roof.name = 'Car_Body_Roof';
     carGroup.add(roof);
 
-    this.car = carGroup;
-    this.scene.add(this.car);
-
     console.log('Placeholder car created');
-    return this.car;
+    return carGroup;
   }
 
   /**
@@ -1260,14 +1778,19 @@ class AssetViewer {
       this.buildSegmentPaths();
     }
 
-    if (!this.car) {
-      await this.createCar();
+    if (!this.car || this.carVehicleId !== this.vehicle.id) {
+      await this.createPlayerCar();
     }
+    this.applyPowertrain();
 
+    // Start from the beginning of the current road
+    this.car.reset();
+    this.grinShift.reset();
+    this.car.distance = this.removedPathDistance;
     this.currentSegmentIndex = 0;
     this.currentPathT = 0;
     this.isCarMoving = true;
-    this.updateCarPosition();
+    this.car.update(0);
 
     // Setup chase camera
     if (this.chaseCamEnabled) {
@@ -1278,6 +1801,92 @@ class AssetViewer {
     console.log('Car started');
   }
 
+  /**
+   * Build the player car from the selected roster vehicle
+   * (replaces any previous car, with its boost and event hooks)
+   */
+  async createPlayerCar() {
+    const vehicle = this.vehicle;
+    const model = await this.loadVehicleModel(vehicle);
+
+    if (this.car) {
+      this.car.dispose();
+    }
+
+    this.car = new Car(this.scene, this, {
+      ...CAR_SETTINGS,
+      ...vehicle.stats,
+      ...vehicle.handling,
+      powertrain: this.getPowertrain()
+    });
+    this.car.setModel({ scene: model ?? this.createCar() }, { wheels: vehicle.wheels });
+    this.livery.apply(this.car.mesh);
+    this.carVehicleId = vehicle.id;
+
+    // Near misses and the speedo follow the car's size and speed
+    this.score.carHalfWidth = this.car.halfWidth;
+    this.cameraController.setTarget(this.car);
+    this.hud.maxSpeedKmh = this.car.maxSpeed * METERS_PER_UNIT * 3.6;
+
+    this.grinShift = new GrinShift(this.car);
+    this.grinShift.on('ready', () => this.hud.popup(t('hud.grinShiftReady')));
+    this.grinShift.on('start', ({ duration }) => {
+      this.hud.popup(t('hud.grinShift'));
+      this.audio.playBoost();
+      this.analytics?.track('boost_used', { duration, speed: this.car.speed * METERS_PER_UNIT * 3.6 });
+    });
+
+    // Call out drifts that were held long enough
+    this.car.on('driftEnd', ({ duration }) => {
+      if (this.gameState.is('racing') && duration >= DRIFT_POPUP_MIN_TIME) {
+        this.hud.popup(t('hud.drift', { time: i18n.formatSeconds(duration) }));
+      }
+    });
+
+    // EV: a flat battery ends the run
+    this.car.on('batteryLow', () => this.hud.popup(t('hud.batteryLow')));
+    this.car.on('batteryEmpty', () => {
+      if (!this.gameState.is('racing')) return;
+      console.log('Battery depleted');
+      this.endRun();
+    });
+
+    console.log(`Player car: ${vehicle.name}`);
+  }
+
+  /**
+   * Load a roster vehicle's GLB, scaled, turned to face -Z and grounded
+   * @param {Object} vehicle - VehicleRegistry entry
+   * @returns {THREE.Group|null} Null for placeholder vehicles or on failure
+   */
+  async loadVehicleModel(vehicle) {
+    if (!vehicle.model) return null;
+
+    try {
+      const gltf = await new Promise((resolve, reject) => {
+        this.gltfLoader.load(vehicle.model, resolve, undefined, reject);
+      });
+
+      const model = gltf.scene;
+      model.scale.setScalar(vehicle.scale);
+      model.rotation.y = THREE.MathUtils.degToRad(vehicle.yaw);
+
+      // Centre on the origin with the wheels on the ground
+      model.updateMatrixWorld(true);
+      const box = new THREE.Box3().setFromObject(model);
+      const center = box.getCenter(new THREE.Vector3());
+      model.position.set(-center.x, -box.min.y, -center.z);
+
+      const root = new THREE.Group();
+      root.name = vehicle.id;
+      root.add(model);
+      return root;
+    } catch (error) {
+      console.error(`Failed to load vehicle model: ${vehicle.model}`, error);
+      return null;
+    }
+  }
+
   /**
    * Stop car movement
    */
@@ -1286,140 +1895,720 @@ class AssetViewer {
     console.log('Car stopped');
   }
 
+  // ============================================
+  // GAME STATES
+  // ============================================
+
+  /**
+   * Build the session state machine and its screens
+   * Other systems hook in with gameState.onEnter/onExit/onChange
+   */
+  setupGameStates() {
+    // Car half width is set per vehicle in createPlayerCar
+    this.score = new ScoreSystem({ metersPerUnit: METERS_PER_UNIT });
+
+    // Passing traffic closely scores near misses (and charges the boost)
+    this.score.setObstacleProvider(() => this.traffic.getObstacles());
+    this.score.on('nearMiss', () => this.grinShift?.registerNearMiss());
+
+    this.hud = new Hud({ maxSpeedKmh: CAR_SETTINGS.maxSpeed * METERS_PER_UNIT * 3.6 });
+    this.hud.attachScore(this.score);
+
+    this.screens = new GameScreens({
+      start: () => this.onStartPressed(),
+      daily: () => this.startDailyDrive(),
+      garage: () => this.openGarage(),
+      selectVehicle: ({ vehicle }) => this.selectVehicle(vehicle),
+      setLivery: ({ key, value }) => this.setLivery(key, value),
+      back: () => this.closeGarage(),
+      resume: () => this.togglePause(),
+      photo: () => this.openPhotoMode(),
+      setPhoto: ({ key, value }) => this.setPhotoOption(key, value),
+      photoCapture: () => this.capturePhoto(),
+      photoDone: () => this.closePhotoMode(),
+      restart: () => this.restartRun(),
+      share: () => this.shareResult(),
+      lead: () => this.openLeadForm(),
+      leadSubmit: () => this.submitLead(),
+      leadClose: () => this.closeLeadForm(),
+      privacy: () => this.screens.showConsentBanner(true),
+      consentAccept: () => this.setConsent(true),
+      consentDecline: () => this.setConsent(false),
+      language: ({ language }) => this.setLanguage(language),
+      endRun: () => this.endRun(),
+      quit: () => this.quitToMenu()
+    }, {
+      onButton: () => this.audio.playClick()
+    });
+    this.screens.bindVolumeControls(this.audio.volumes, (bus, volume) => this.audio.setVolume(bus, volume));
+    this.screens.bindPhotoControls(this.photo.get(), (key, value) => this.photo.set({ [key]: value }));
+
+    this.gameState = new StateMachine()
+      .addState('title', {
+        transitions: ['countdown', 'garage'],
+        enter: () => {
+          this.isCarMoving = false;
+          this.screens.setDailyTarget(this.daily.getBest());
+          this.screens.setVehicle(this.vehicle.name, t(`powertrain.${this.getPowertrain()}`));
+          this.screens.show('title');
+          this.touchControls?.setVisible(false);
+        }
+      })
+      .addState('garage', {
+        transitions: ['title'],
+        enter: () => {
+          this.screens.setGarage(this.vehicles.list(), this.vehicle.id);
+          this.updateLiveryScreen();
+          this.screens.show('garage');
+        },
+        // Turntable preview: spin the car in place, put it back on the way out
+        update: (deltaTime) => {
+          if (this.car?.mesh) this.car.mesh.rotation.y += TURNTABLE_SPEED * deltaTime;
+        },
+        exit: () => this.car?.updateMeshPosition()
+      })
+      .addState('countdown', {
+        transitions: ['racing'],
+        enter: () => {
+          this.isCarMoving = false;
+          this.countdownRemaining = COUNTDOWN_SECONDS;
+          this.screens.setCountdown(String(COUNTDOWN_SECONDS));
+          this.screens.show('countdown');
+          this.hud.setTarget(this.mode === 'daily' ? this.daily.getBest(this.dailyDateKey) : null);
+          this.touchControls?.setVisible(true);
+        },
+        update: (deltaTime) => this.updateCountdown(deltaTime)
+      })
+      .addState('racing', {
+        transitions: ['paused', 'photo', 'gameOver'],
+        enter: (from) => {
+          if (from === 'countdown') {
+            this.runStats = { time: 0, topSpeed: 0, startDistance: this.car.distance };
+            this.score.reset(this.car.distance);
+            this.analytics?.track('run_start', {
+              mode: this.mode,
+              seed: this.seed,
+              vehicle: this.vehicle.id,
+              powertrain: this.getPowertrain()
+            });
+            if (this.mode === 'daily') {
+              this.car.speed = this.daily.rules.startSpeed;
+            }
+            // Flash "GO" before clearing the countdown
+            this.screens.setCountdown(t('countdown.go'));
+            setTimeout(() => {
+              if (this.gameState.is('racing')) this.screens.show(null);
+            }, 600);
+          } else {
+            this.screens.show(null);
+          }
+          this.isCarMoving = true;
+          this.touchControls?.setVisible(true);
+        },
+        update: (deltaTime) => this.updateRunStats(deltaTime)
+      })
+      .addState('paused', {
+        transitions: ['racing', 'photo', 'countdown', 'gameOver', 'title'],
+        enter: () => {
+          this.isCarMoving = false;
+          this.screens.show('paused');
+          this.touchControls?.setVisible(false);
+        }
+      })
+      // Photo mode: the photo camera takes over until DONE
+      .addState('photo', {
+        transitions: ['paused'],
+        enter: () => {
+          this.isCarMoving = false;
+          this.controls.enabled = false;
+          this.updatePhotoScreen();
+          this.screens.show('photo');
+          this.touchControls?.setVisible(false);
+          this.photo.enter(this.car);
+        },
+        update: () => this.photo.update(),
+        exit: () => {
+          this.photo.exit();
+          this.controls.enabled = !this.chaseCamEnabled;
+        }
+      })
+      .addState('gameOver', {
+        transitions: ['countdown', 'title', 'lead'],
+        enter: (from) => {
+          this.isCarMoving = false;
+          // Back from the lead form: the results are still up to date
+          if (from === 'lead') {
+            this.updateLeadCta();
+            this.screens.show('gameOver');
+            return;
+          }
+
+          const results = this.getRunResults();
+          if (this.mode === 'daily') {
+            // Record against today's best
+            const { best, isNewBest } = this.daily.submitScore(results.score, this.dailyDateKey);
+            Object.assign(results, { dailyBest: best, isNewBest });
+          }
+          this.lastResults = results;
+          this.screens.setResults(results);
+          this.analytics?.track('run_end', { mode: this.mode, ...results });
+          this.embed?.post('runEnd', { mode: this.mode, ...results });
+          this.prepareShareCard(results);
+          this.updateLeadCta();
+          this.screens.show('gameOver');
+          this.touchControls?.setVisible(false);
+        }
+      })
+      // Lead form over the results (optional, from the results screen)
+      .addState('lead', {
+        transitions: ['gameOver'],
+        enter: () => {
+          this.screens.resetLeadForm();
+          this.screens.show('lead');
+        }
+      });
+
+    // HUD is up from the countdown until the results screen
+    this.gameState.onChange((from, to) => {
+      this.hud.setVisible(to === 'countdown' || to === 'racing' || to === 'paused');
+      this.audio.setEngineActive(to === 'countdown' || to === 'racing');
+      this.embed?.post('progress', this.getEmbedProgress());
+      console.log(`Game state: ${from ?? 'none'} -> ${to}`);
+    });
+  }
+
   /**
-   * Update car position along path
+   * Start / confirm action: begin from the title, restart from results
    */
-  updateCarPosition() {
-    if (!this.car || this.segmentPaths.length === 0) return;
+  onStartPressed() {
+    if (this.gameState.is('title')) {
+      this.gameState.transition('countdown');
+    } else if (this.gameState.is('gameOver')) {
+      this.restartRun();
+    }
+  }
 
-    const currentPath = this.segmentPaths[this.currentSegmentIndex];
-    if (!currentPath) return;
+  /**
+   * Tick the 3-2-1 countdown, then go racing
+   */
+  updateCountdown(deltaTime) {
+    this.countdownRemaining -= deltaTime;
 
-    // Get position on curve
-    const targetPosition = currentPath.getPointAt(this.currentPathT);
+    if (this.countdownRemaining <= 0) {
+      this.gameState.transition('racing');
+      return;
+    }
 
-    // Smooth car position
-    this.car.position.lerp(targetPosition, 0.15);
+    this.screens.setCountdown(String(Math.ceil(this.countdownRemaining)));
+  }
 
-    // Get tangent for orientation
-    const tangent = currentPath.getTangentAt(this.currentPathT);
+  /**
+   * Accumulate run time, top speed and score while racing
+   */
+  updateRunStats(deltaTime) {
+    this.runStats.time += deltaTime;
+    this.runStats.topSpeed = Math.max(this.runStats.topSpeed, this.car.speed);
+    this.score.update(this.car, deltaTime);
+    if (this.embed) this.reportEmbedRun(deltaTime);
+  }
 
-    // Calculate target rotation using a dummy object
-    const lookTarget = targetPosition.clone().add(tangent);
-    const tempObj = new THREE.Object3D();
-    tempObj.position.copy(targetPosition);
-    tempObj.lookAt(lookTarget);
-    this.carTargetQuaternion.copy(tempObj.quaternion);
+  /**
+   * Run results in real-world units
+   * @returns {Object} { score, distance (m), time (s), topSpeed (km/h), bestCombo, nearMisses, seed }
+   */
+  getRunResults() {
+    const { score, bestCombo, nearMisses } = this.score.getState();
+    return {
+      score,
+      distance: (this.car.distance - this.runStats.startDistance) * METERS_PER_UNIT,
+      time: this.runStats.time,
+      topSpeed: this.runStats.topSpeed * METERS_PER_UNIT * 3.6,
+      bestCombo,
+      nearMisses,
+      seed: this.seed
+    };
+  }
+
+  /**
+   * Render the share card for the results screen (shared on demand)
+   * @param {Object} results - getRunResults() plus Daily Drive fields
+   */
+  async prepareShareCard(results) {
+    const shareResults = { ...results, mode: this.mode, vehicleName: this.vehicle.name };
+    this.shareResults = shareResults;
+    this.shareBlob = null;
+    this.screens.setShareCard(null);
 
-    // Smoothly interpolate car rotation
-    this.car.quaternion.slerp(this.carTargetQuaternion, 0.08);
+    try {
+      const blob = await this.shareCard.generate(shareResults, this.car);
+      // A newer run may have finished meanwhile
+      if (this.shareResults !== shareResults) return;
+      this.shareBlob = blob;
+      this.screens.setShareCard(blob);
+    } catch (error) {
+      console.warn('Share card unavailable', error);
+    }
   }
 
   /**
-   * Advance car along path (called each frame)
+   * Share the results card (Web Share, or download)
    */
-  updateCar(deltaTime) {
-    if (!this.isCarMoving || this.segmentPaths.length === 0) return;
+  async shareResult() {
+    if (!this.shareBlob || !this.gameState.is('gameOver')) return;
 
-    const currentPath = this.segmentPaths[this.currentSegmentIndex];
-    if (!currentPath) return;
+    const outcome = await this.shareCard.share(this.shareBlob, this.shareResults, this.getShareUrl(this.shareResults.seed));
+    this.analytics?.track('share_clicked', { outcome });
+    console.log(`Share card ${outcome}`);
+  }
 
-    // Calculate progress increment based on speed and path length
-    const pathLength = currentPath.getLength();
-    const progressPerSecond = this.carSpeed / pathLength;
-    this.currentPathT += progressPerSecond * deltaTime;
+  /**
+   * Analytics sinks from the campaign config, and the consent banner
+   * until the player has answered it
+   */
+  setupAnalytics() {
+    this.analytics = new Analytics(this.consent, this.campaign.get('analytics'));
+    this.screens.setConsentCopy(this.campaign.get('consent'));
+    this.screens.showConsentBanner(!this.consent.isDecided());
+
+    this.consent.on('change', ({ purpose, granted }) => {
+      if (purpose === 'analytics' && granted) this.trackSession();
+      console.log(`Consent: ${purpose} ${granted ? 'granted' : 'withdrawn'}`);
+    });
+    this.trackSession();
+  }
 
-    // Check if we've reached the end of current segment
-    if (this.currentPathT >= 1) {
-      this.currentPathT = 0;
-      this.currentSegmentIndex++;
+  /**
+   * session_start, once per page load (as soon as there is consent)
+   */
+  trackSession() {
+    if (this.sessionTracked) return;
+    this.sessionTracked = this.analytics.track('session_start', {
+      market: this.campaign.market,
+      campaign: this.campaign.getId(),
+      vehicle: this.vehicle.id,
+      touch: this.touchControls.enabled
+    });
+  }
 
-      // Loop back to start or stop at end
-      if (this.currentSegmentIndex >= this.segmentPaths.length) {
-        this.currentSegmentIndex = 0; // Loop
-        console.log('Car looped to start');
-      }
+  /**
+   * Consent banner answer
+   */
+  setConsent(granted) {
+    if (granted) {
+      this.consent.grantAll();
+    } else {
+      this.consent.denyAll();
     }
+    this.screens.showConsentBanner(false);
+  }
+
+  /**
+   * Campaign lead form (built from the market's campaign config)
+   */
+  setupLeadCapture() {
+    const config = this.campaign.get('lead');
+    this.leads = new LeadCapture(config, {
+      campaignId: this.campaign.getId(),
+      market: this.campaign.market
+    });
+    this.screens.setLeadForm(config);
 
-    this.updateCarPosition();
+    // Leads queued on an earlier visit
+    this.leads.flush();
+  }
 
-    // Update chase camera
-    if (this.chaseCamEnabled) {
-      this.updateChaseCamera();
+  /**
+   * Results screen button: shown until a lead has been sent this session
+   */
+  updateLeadCta() {
+    const enabled = this.leads?.isEnabled() && !this.leadSubmitted;
+    this.screens.setLeadCta(enabled ? this.leads.copy.cta ?? 'lead.cta' : null);
+  }
+
+  openLeadForm() {
+    if (this.gameState.is('gameOver') && this.leads?.isEnabled()) {
+      this.gameState.transition('lead');
+    }
+  }
+
+  closeLeadForm() {
+    if (this.gameState.is('lead') && !this.isSendingLead) {
+      this.gameState.transition('gameOver');
     }
   }
 
   /**
-   * Setup chase camera - initialize position immediately behind car
+   * Validate and send the lead form (queued if offline)
    */
-  setupChaseCamera() {
+  async submitLead() {
+    if (!this.gameState.is('lead') || this.isSendingLead) return;
+
+    const copy = this.leads.copy;
+    const values = this.screens.getLeadValues();
+    const errors = this.leads.validate(values);
+    this.screens.setLeadErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    // The run the player just finished, for the dealer
+    const results = this.shareResults ?? {};
+    const context = { score: results.score, mode: this.mode, vehicle: this.vehicle.id, seed: results.seed };
+
+    this.isSendingLead = true;
+    this.screens.setLeadStatus(copy.sending ?? 'lead.sending', 'sending');
+    const { status } = await this.leads.submit(values, context);
+    this.isSendingLead = false;
+    // Outcome only, never the form contents
+    this.analytics?.track('lead_submitted', { status, market: this.campaign.market });
+    this.embed?.post('leadSubmitted', { status });
+
+    if (status === 'sent' || status === 'queued') {
+      this.leadSubmitted = true;
+      this.screens.setLeadStatus(status === 'sent' ? copy.success ?? 'lead.success' : copy.queued ?? 'lead.queued', 'done');
+    } else {
+      this.screens.setLeadStatus(copy.error ?? 'lead.error');
+    }
+    console.log(`Lead ${status}`);
+  }
+
+  /**
+   * Link that replays a run's city (?seed=)
+   */
+  getShareUrl(seed) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('seed', seed);
+    return url.toString();
+  }
+
+  /**
+   * Switch between automatic and manual gears
+   */
+  toggleTransmission() {
     if (!this.car) return;
+    const mode = this.car.gearbox.mode === 'auto' ? 'manual' : 'auto';
+    this.car.gearbox.setMode(mode);
+    this.hud.popup(t(mode === 'auto' ? 'hud.auto' : 'hud.manual'));
+    console.log(`Transmission: ${mode}`);
+  }
 
-    // Lock up vector to prevent flipping
-    this.camera.up.set(0, 1, 0);
+  /**
+   * Force a powertrain for every car (dev override, applied from the next run)
+   * @param {string|null} name - Key of POWERTRAINS ('ice' or 'ev'), null for the vehicle's own
+   */
+  setPowertrain(name) {
+    if (name !== null && !POWERTRAINS[name]) {
+      console.warn(`Unknown powertrain "${name}". Options: ${Object.keys(POWERTRAINS).join(', ')}`);
+      return;
+    }
+    this.powertrainOverride = name;
+    if (this.gameState.is('title')) {
+      this.applyPowertrain();
+      this.screens.setVehicle(this.vehicle.name, t(`powertrain.${this.getPowertrain()}`));
+    }
+    console.log(`Powertrain: ${this.getPowertrain()}`);
+  }
 
-    // Get direction of travel from path tangent
-    const currentPath = this.segmentPaths[this.currentSegmentIndex];
-    if (!currentPath) return;
+  /**
+   * Powertrain for the player car: the override, or the vehicle's own
+   */
+  getPowertrain() {
+    return this.powertrainOverride ?? this.vehicle.powertrain;
+  }
 
-    const tangent = currentPath.getTangentAt(this.currentPathT);
-    tangent.y = 0; // Keep horizontal
-    tangent.normalize();
+  /**
+   * Put the powertrain in the car, with its default engine sound
+   */
+  applyPowertrain() {
+    if (!this.car) return;
+    const powertrain = this.getPowertrain();
+    if (this.car.powertrain !== powertrain) {
+      this.car.setPowertrain(powertrain);
+    }
+    this.audio.setSoundProfile(POWERTRAINS[powertrain].soundProfiles[0]);
+  }
+
+  /**
+   * Garage: pick the car for the next run (from the title screen)
+   */
+  openGarage() {
+    if (this.gameState.is('title')) {
+      this.gameState.transition('garage');
+    }
+  }
+
+  closeGarage() {
+    if (this.gameState.is('garage') && !this.isSwitchingVehicle) {
+      this.gameState.transition('title');
+    }
+  }
+
+  /**
+   * Change one livery option from the garage and repaint the car
+   * @param {string} key - LiveryManager livery key (paint, wheels, racingStripes, ...)
+   * @param {string} value - Option id, or "true"/"false" for toggles
+   */
+  setLivery(key, value) {
+    this.livery.set({ [key]: value === 'true' ? true : value === 'false' ? false : value });
+    if (this.car) this.livery.apply(this.car.mesh);
+    this.updateLiveryScreen();
+  }
+
+  updateLiveryScreen() {
+    this.screens.setLivery({
+      paints: PAINT_COLORS,
+      wheels: WHEEL_FINISHES,
+      stripeColors: STRIPE_COLORS
+    }, this.livery.get());
+  }
 
-    // Position camera behind car (opposite of travel direction)
-    const cameraDistance = 1.5;
-    const cameraHeight = 0.5;
+  /**
+   * Swap the player car for a roster vehicle (rebuilt in place on the road)
+   * @param {string} id - VehicleRegistry id
+   */
+  async selectVehicle(id) {
+    if (!this.gameState.is('garage') || this.isSwitchingVehicle || id === this.vehicle.id) return;
 
-    this.camera.position
-      .copy(this.car.position)
-      .addScaledVector(tangent, -cameraDistance)
-      .add(new THREE.Vector3(0, cameraHeight, 0));
+    const vehicle = this.vehicles.select(id);
+    if (!vehicle) return;
 
-    // Look ahead of car
-    const lookAhead = new THREE.Vector3()
-      .copy(this.car.position)
-      .addScaledVector(tangent, 3);
-    this.camera.lookAt(lookAhead.x, 0.1, lookAhead.z);
+    this.isSwitchingVehicle = true;
+    try {
+      this.vehicle = vehicle;
+      this.screens.setGarage(this.vehicles.list(), id);
+      await this.startCar();
+      this.isCarMoving = false;
+    } finally {
+      this.isSwitchingVehicle = false;
+    }
+  }
 
-    console.log('Chase camera enabled - positioned behind car');
+  /**
+   * N e-shift on/off (EV only): virtual gear kicks or single-speed drive
+   */
+  toggleEShift() {
+    if (!this.car || !this.car.setEShift(!this.car.eShift)) return;
+    this.hud.popup(t(this.car.eShift ? 'hud.eShiftOn' : 'hud.eShiftOff'));
+    console.log(`N e-shift: ${this.car.eShift ? 'on' : 'off'}`);
   }
 
   /**
-   * Update chase camera - follows behind car using path tangent
+   * N Active Sound+: step through the powertrain's sound profiles
    */
-  updateChaseCamera() {
+  cycleSoundProfile() {
     if (!this.car) return;
+    const profiles = POWERTRAINS[this.car.powertrain].soundProfiles;
+    const next = profiles[(profiles.indexOf(this.audio.soundProfile) + 1) % profiles.length];
+    this.audio.setSoundProfile(next);
+    this.hud.popup(t('hud.sound', { profile: t(`sound.${next}`) }));
+    console.log(`Active Sound+: ${next}`);
+  }
 
-    // Get direction of travel from path tangent
-    const currentPath = this.segmentPaths[this.currentSegmentIndex];
-    if (!currentPath) return;
+  /**
+   * Pause/resume the run
+   */
+  togglePause() {
+    if (this.gameState.is('racing')) {
+      this.gameState.transition('paused');
+    } else if (this.gameState.is('paused')) {
+      this.gameState.transition('racing');
+    } else if (this.gameState.is('photo')) {
+      this.closePhotoMode();
+    } else if (this.gameState.is('lead')) {
+      this.closeLeadForm();
+    }
+  }
 
-    const tangent = currentPath.getTangentAt(this.currentPathT);
-    tangent.y = 0; // Keep horizontal
-    tangent.normalize();
+  /**
+   * Photo mode (during a run, from racing or the pause screen)
+   */
+  openPhotoMode() {
+    if (this.car && (this.gameState.is('racing') || this.gameState.is('paused'))) {
+      this.gameState.transition('photo');
+    }
+  }
 
-    // Smooth the tangent to reduce jitter at segment transitions
-    this.smoothedTangent.lerp(tangent, 0.1);
-    this.smoothedTangent.normalize();
+  closePhotoMode() {
+    if (this.gameState.is('photo') && !this.photo.isCapturing) {
+      this.gameState.transition('paused');
+    }
+  }
 
-    // Camera position: behind the car (opposite of travel direction) and above
-    const cameraDistance = 1.5;
-    const cameraHeight = 0.5;
+  /**
+   * Change a photo option from its button
+   * @param {string} key - PhotoMode setting (frame, logo, scale)
+   * @param {string} value - Option value, "true"/"false" for toggles
+   */
+  setPhotoOption(key, value) {
+    if (value === 'true' || value === 'false') {
+      value = value === 'true';
+    } else if (key === 'scale') {
+      value = Number(value);
+    }
+    this.photo.set({ [key]: value });
+    this.updatePhotoScreen();
+  }
 
-    const targetCamPos = new THREE.Vector3()
-      .copy(this.car.position)
-      .addScaledVector(this.smoothedTangent, -cameraDistance) // Behind car
-      .add(new THREE.Vector3(0, cameraHeight, 0));  // Above
+  updatePhotoScreen() {
+    this.screens.setPhotoOptions(PHOTO_FRAMES, PHOTO_EXPORT_SCALES, this.photo.get());
+  }
 
-    // Smooth camera position (elastic follow)
-    this.camera.position.lerp(targetCamPos, 0.3);
+  /**
+   * Save the photo mode view as a high-resolution PNG
+   */
+  capturePhoto() {
+    if (!this.gameState.is('photo')) return;
+    this.photo.capture().catch(error => console.error('Photo capture failed', error));
+  }
 
-    // Look ahead of car for better chase feel
-    const lookAhead = new THREE.Vector3()
-      .copy(this.car.position)
-      .addScaledVector(this.smoothedTangent, 3); // Look 3 units ahead
-    this.camera.up.set(0, 1, 0);
-    this.camera.lookAt(lookAhead.x, 0.1, lookAhead.z);
+  /**
+   * End the current run and show results
+   */
+  endRun() {
+    if (this.gameState.is('racing') || this.gameState.is('paused')) {
+      this.gameState.transition('gameOver');
+    }
+  }
+
+  /**
+   * Start a Daily Drive run from the title screen
+   */
+  startDailyDrive() {
+    if (!this.gameState.is('title')) return;
+    this.mode = 'daily';
+    this.restartRun('countdown');
+  }
+
+  /**
+   * Leave the run for the title screen (back to free mode)
+   */
+  quitToMenu() {
+    this.mode = 'free';
+    this.restartRun('title');
+  }
+
+  /**
+   * Seed for the next run
+   * Daily Drive uses today's date, ?seed= is kept, otherwise a new city every run
+   */
+  getRunSeed() {
+    if (this.mode === 'daily') {
+      this.dailyDateKey = DailyChallenge.getDateKey();
+      return this.daily.getSeed(this.dailyDateKey);
+    }
+    return this.seedFromUrl ? this.seed : Random.randomSeed();
+  }
+
+  /**
+   * Rebuild the road, put the car back at the start and begin again
+   * @param {string|null} nextState - 'countdown' to race again, 'title' for the menu,
+   *   null to stay in the current state with the car parked
+   */
+  async restartRun(nextState = 'countdown') {
+    if (this.isRestarting) return;
+    this.isRestarting = true;
+
+    try {
+      await this.initInfiniteRoad(5, this.getRunSeed());
+      await this.startCar();
+      if (nextState) {
+        this.gameState.transition(nextState);
+      } else {
+        this.isCarMoving = false;
+      }
+    } finally {
+      this.isRestarting = false;
+    }
+  }
+
+  /**
+   * Drive the player car (called each frame)
+   */
+  updateCar(deltaTime) {
+    if (!this.isCarMoving || !this.car || this.segmentPaths.length === 0) return;
+
+    this.car.setInput(this.getDriveInput());
+    this.car.update(deltaTime);
+    this.grinShift.update(deltaTime);
+
+    // Traffic gets denser the further the run goes (fixed for Daily Drive)
+    this.traffic.setDifficulty(this.mode === 'daily'
+      ? this.daily.rules.trafficDifficulty
+      : this.score.distance / TRAFFIC_FULL_DENSITY_AT);
+    this.traffic.update(deltaTime, this.car.distance);
+
+    this.updateCollisions();
+
+    // Track which segment the car is on (used by cleanup)
+    const location = this.locateOnRoad(this.car.distance);
+    if (location) {
+      this.currentSegmentIndex = location.index;
+      this.currentPathT = location.t;
+    }
+  }
+
+  /**
+   * Keep the car out of buildings and traffic (crash events fire from check)
+   */
+  updateCollisions() {
+    this.carBox.set(this.car.position, this.car.halfWidth, this.car.halfLength, this.car.rotation.y);
+
+    const hits = this.collisions.check(this.carBox, this.car.speed);
+    hits.forEach(hit => this.car.resolveCollision(hit.normal, hit.depth));
+  }
+
+  /**
+   * Crash response: speed loss, camera shake and score penalty
+   * @param {Object} event - CollisionSystem 'crash' payload
+   */
+  onCrash({ type, normal, speed }) {
+    if (!this.gameState.is('racing')) return;
+
+    // Head-on hits hurt more than side swipes
+    const severity = Math.max(Math.abs(normal.dot(this.car.forward)), 0.3);
+    this.car.applyImpact(severity);
+
+    const strength = severity * Math.max(speed / this.car.maxSpeed, 0.3);
+    this.cameraController.shake(CRASH_SHAKE * strength);
+    this.audio.playImpact(strength);
+    this.score.registerCollision();
+    this.analytics?.track('crash', { type, speed: speed * METERS_PER_UNIT * 3.6, strength });
+
+    console.log(`Crash (${type}) at ${(speed * METERS_PER_UNIT * 3.6).toFixed(0)} km/h`);
+  }
+
+  /**
+   * Setup chase camera - cut to the current rig behind the car
+   */
+  setupChaseCamera() {
+    if (!this.car) return;
+
+    this.cameraController.snap();
+    console.log(`Chase camera enabled - ${this.cameraController.getLabel()}`);
+  }
+
+  /**
+   * Next camera rig (C / touch CAM); from the orbit view, back to the chase rigs
+   */
+  cycleCamera() {
+    if (this.gameState.is('photo')) return;
+
+    if (!this.chaseCamEnabled) {
+      this.toggleChaseCamera();
+      return;
+    }
+
+    this.cameraController.next();
+    this.hud.popup(t(`camera.${this.cameraController.getRig()}`));
+  }
+
+  /**
+   * Jump to a camera rig by name (see CAMERA_RIGS)
+   */
+  setCameraRig(name) {
+    if (!this.cameraController.setRig(name)) return;
+    if (!this.chaseCamEnabled) this.toggleChaseCamera();
+    console.log(`Camera: ${this.cameraController.getLabel()}`);
   }
 
   /**
@@ -1520,7 +2709,8 @@ class AssetViewer {
         model,
         width: size.x,   // Width along X axis
         height: size.y,  // Height along Y axis
-        depth: size.z    // Depth along Z axis (front to back)
+        depth: size.z,   // Depth along Z axis (front to back)
+        bounds: box      // Local bounds for collision boxes
       };
 
       this.buildingTemplates.push(template);
@@ -1599,6 +2789,7 @@ class AssetViewer {
 
     this.scene.add(instance);
     this.spawnedBuildings.push(instance);
+    this.collisions.addStatic(instance, template.bounds);
 
     return instance;
   }
@@ -1626,7 +2817,7 @@ class AssetViewer {
 
     while (cursorDistance < pathLength) {
       // Pick a random building from templates
-      const template = this.buildingTemplates[Math.floor(Math.random() * this.buildingTemplates.length)];
+      const template = this.rng.pick(this.buildingTemplates);
       if (!template) break;
 
       const buildingWidth = template.width;
@@ -1643,7 +2834,7 @@ class AssetViewer {
       this.spawnBuildingAtCursor(template, cursorPos, markerQuaternion);
 
       // Advance cursor by building width + random padding
-      const padding = 0.01 + Math.random() * 0.09; // 0.01m to 0.1m
+      const padding = 0.01 + this.rng.next() * 0.09; // 0.01m to 0.1m
       cursorDistance += buildingWidth + padding;
     }
 
@@ -1735,6 +2926,7 @@ class AssetViewer {
     if (this.spawnedBuildings) {
       this.spawnedBuildings.forEach(building => {
         this.scene.remove(building);
+        this.collisions?.removeStatic(building);
       });
     }
     this.spawnedBuildings = [];
@@ -1746,6 +2938,8 @@ class AssetViewer {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.touchControls?.resize(window.innerWidth, window.innerHeight);
+    this.photo?.resize(window.innerWidth, window.innerHeight);
   }
 
   hideLoadingScreen() {
@@ -1758,22 +2952,54 @@ class AssetViewer {
 
     // Calculate delta time
     const now = performance.now();
-    const deltaTime = (now - (this.lastFrameTime || now)) / 1000;
+    // Clamp so a stalled tab doesn't launch the car forward on return
+    const deltaTime = Math.min((now - (this.lastFrameTime || now)) / 1000, 0.1);
     this.lastFrameTime = now;
 
+    // Poll gamepad and touch
+    this.input.update();
+
+    // Advance countdown / run timers
+    this.gameState.update(deltaTime);
+
+    // Animate HUD gauges
+    if (this.car) {
+      this.hud.update(deltaTime, {
+        speedKmh: this.car.speed * METERS_PER_UNIT * 3.6,
+        boost: this.grinShift.getMeter(),
+        boostReady: this.grinShift.isReady(),
+        boostActive: this.grinShift.active,
+        ...this.car.getEngineState()
+      });
+
+      this.audio.updateEngine(this.car.getEngineState());
+      this.audio.updateTyres(this.car.getDriftAngle(), this.car.speed / this.car.getTopSpeed());
+    }
+
     // Update car movement
     this.updateCar(deltaTime);
 
+    // Chase camera runs every frame so blends and the cinematic orbit
+    // keep moving while the car is stopped (photo mode has its own camera)
+    const photoActive = this.photo.active;
+    if (this.chaseCamEnabled && this.car && !photoActive) {
+      this.cameraController.update(deltaTime);
+    }
+
     // Update infinite road system
     this.updateInfiniteRoadSpawning();
     this.updateInfiniteRoadCleanup();
 
     // Only update orbit controls when chase camera is disabled
-    if (!this.chaseCamEnabled) {
+    if (!this.chaseCamEnabled && !photoActive) {
       this.controls.update();
     }
 
-    this.renderer.render(this.scene, this.camera);
+    if (photoActive) {
+      this.photo.render();
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
   }
 }
 
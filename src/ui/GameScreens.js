@@ -0,0 +1,538 @@
+import { i18n, t } from '../core/I18n.js';
+
+/**
+ * GameScreens - Title, garage, countdown, pause, photo, results and lead form overlays
+ *
+ * Markup lives in index.html (.game-screen elements). Buttons carry a
+ * data-action attribute that is forwarded to the matching callback, so the
+ * screens know nothing about game logic. The button's other data-*
+ * attributes are passed along (e.g. data-vehicle for selectVehicle).
+ *
+ * Static text is marked up with data-i18n keys (I18n.apply); text set here
+ * goes through I18n too, so after a language switch the game calls the
+ * setters again with the same data.
+ */
+
+/**
+ * Translation for a data-driven name (livery option, vehicle), or its own
+ * name when the bundles don't have one
+ */
+function translated(key, fallback) {
+  return i18n.has(key) ? t(key) : fallback;
+}
+
+/**
+ * Option button for the garage and photo panels
+ * (data-action, data-key and data-value reach the action callback)
+ * @param {number} color - Shown as a round swatch instead of a label
+ */
+function optionButton(action, key, value, label, selected, color) {
+  const button = document.createElement('button');
+  button.className = color === undefined ? 'livery-option' : 'livery-swatch';
+  button.classList.toggle('selected', selected);
+  button.dataset.action = action;
+  button.dataset.key = key;
+  button.dataset.value = String(value);
+  button.title = label;
+  if (color === undefined) {
+    button.textContent = label;
+  } else {
+    button.style.background = `#${color.toString(16).padStart(6, '0')}`;
+  }
+  return button;
+}
+
+export class GameScreens {
+  /**
+   * @param {Object} actions - Callbacks keyed by data-action (start, daily, garage, selectVehicle,
+   *   setLivery, back, resume, photo, setPhoto, photoCapture, photoDone, restart, share, lead,
+   *   leadSubmit, leadClose, privacy, consentAccept, consentDecline, language, endRun, quit)
+   * @param {Object} options
+   * @param {Function} options.onButton - Called with the action name on any button press (UI sounds)
+   */
+  constructor(actions = {}, options = {}) {
+    this.actions = actions;
+    this.onButton = options.onButton ?? null;
+
+    this.screens = {
+      title: document.getElementById('title-screen'),
+      garage: document.getElementById('garage-screen'),
+      countdown: document.getElementById('countdown-screen'),
+      paused: document.getElementById('pause-screen'),
+      photo: document.getElementById('photo-screen'),
+      gameOver: document.getElementById('results-screen'),
+      lead: document.getElementById('lead-screen')
+    };
+
+    this.countdownNumber = document.getElementById('countdown-number');
+    this.dailyTarget = document.getElementById('daily-target');
+    this.titleVehicle = document.getElementById('title-vehicle');
+    this.languageSelect = document.getElementById('language-select');
+    this.garageList = document.getElementById('garage-list');
+    this.livery = {
+      paint: document.getElementById('livery-paint'),
+      paintName: document.getElementById('livery-paint-name'),
+      wheels: document.getElementById('livery-wheels'),
+      stripes: document.getElementById('livery-stripes')
+    };
+    this.photo = {
+      frames: document.getElementById('photo-frames'),
+      export: document.getElementById('photo-export')
+    };
+    this.results = {
+      score: document.getElementById('result-score'),
+      bestCombo: document.getElementById('result-best-combo'),
+      nearMisses: document.getElementById('result-near-misses'),
+      distance: document.getElementById('result-distance'),
+      time: document.getElementById('result-time'),
+      topSpeed: document.getElementById('result-top-speed'),
+      seed: document.getElementById('result-seed'),
+      dailyRow: document.getElementById('result-daily-row'),
+      dailyBest: document.getElementById('result-daily-best'),
+      card: document.getElementById('result-card'),
+      share: document.getElementById('result-share'),
+      lead: document.getElementById('result-lead')
+    };
+    this.cardUrl = null;
+    this.lead = {
+      form: document.getElementById('lead-form'),
+      title: document.getElementById('lead-title'),
+      intro: document.getElementById('lead-intro'),
+      fields: document.getElementById('lead-fields'),
+      consents: document.getElementById('lead-consents'),
+      status: document.getElementById('lead-status'),
+      submit: document.getElementById('lead-submit'),
+      close: document.getElementById('lead-close')
+    };
+    this.leadCopy = {};
+    this.consent = {
+      banner: document.getElementById('consent-banner'),
+      text: document.getElementById('consent-text'),
+      accept: document.getElementById('consent-accept'),
+      decline: document.getElementById('consent-decline'),
+      settings: document.getElementById('privacy-settings')
+    };
+
+    // Enter or the submit button sends the form
+    this.lead.form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.onButton?.('leadSubmit');
+      this.actions.leadSubmit?.({});
+    });
+
+    this.languageSelect?.addEventListener('change', () => {
+      this.actions.language?.({ language: this.languageSelect.value });
+      // Focused inputs swallow game keys (InputManager.isTextInput)
+      this.languageSelect.blur();
+    });
+
+    // The consent banner sits over any screen, with the same button forwarding
+    [...Object.values(this.screens), this.consent.banner].forEach(screen => {
+      screen?.addEventListener('click', (e) => {
+        // The language picker is on the title screen; picking one isn't a start
+        if (e.target.closest('select')) return;
+
+        const button = e.target.closest('[data-action]');
+        const action = button?.dataset.action;
+        if (action) {
+          this.onButton?.(action);
+          this.actions[action]?.({ ...button.dataset });
+        } else if (screen === this.screens.title) {
+          // Tap anywhere on the title screen to start
+          this.actions.start?.();
+        }
+      });
+    });
+  }
+
+  /**
+   * Wire the pause screen volume sliders (input[data-volume="bus"])
+   * @param {Object} volumes - Current volumes keyed by bus (0-1)
+   * @param {Function} onChange - Called with (bus, volume) as a slider moves
+   */
+  bindVolumeControls(volumes, onChange) {
+    document.querySelectorAll('input[data-volume]').forEach(slider => {
+      const bus = slider.dataset.volume;
+      slider.value = Math.round((volumes[bus] ?? 1) * 100);
+      slider.addEventListener('input', () => onChange(bus, slider.value / 100));
+      // Focused inputs swallow game keys (InputManager.isTextInput), so let go
+      slider.addEventListener('change', () => slider.blur());
+    });
+  }
+
+  /**
+   * Wire the photo mode sliders (input[data-photo="setting"])
+   * A slider's data-scale maps the setting to its range (e.g. 100 for 0-1 settings).
+   * @param {Object} settings - Current photo settings
+   * @param {Function} onChange - Called with (setting, value) as a slider moves
+   */
+  bindPhotoControls(settings, onChange) {
+    document.querySelectorAll('input[data-photo]').forEach(slider => {
+      const key = slider.dataset.photo;
+      const scale = Number(slider.dataset.scale ?? 1);
+      slider.value = settings[key] * scale;
+      slider.addEventListener('input', () => onChange(key, slider.value / scale));
+      slider.addEventListener('change', () => slider.blur());
+    });
+  }
+
+  /**
+   * Fill the photo mode frame, logo and export size options
+   * Every option is a button with data-action="setPhoto" data-key data-value.
+   * @param {Object[]} frames - PHOTO_FRAMES
+   * @param {number[]} scales - Export size multiples
+   * @param {Object} settings - Current photo settings
+   */
+  setPhotoOptions(frames, scales, settings) {
+    this.photo.frames?.replaceChildren(
+      ...frames.map(f => optionButton('setPhoto', 'frame', f.id, translated(`photo.frames.${f.id}`, f.name), f.id === settings.frame)),
+      optionButton('setPhoto', 'logo', !settings.logo, t('photo.logo'), settings.logo)
+    );
+
+    this.photo.export?.replaceChildren(...scales.map(scale =>
+      optionButton('setPhoto', 'scale', scale, `${scale}x`, scale === settings.scale)));
+  }
+
+  /**
+   * Show one screen and hide the others
+   * @param {string|null} name - Screen name, or null to hide all
+   */
+  show(name) {
+    Object.entries(this.screens).forEach(([key, screen]) => {
+      screen?.classList.toggle('active', key === name);
+    });
+  }
+
+  /**
+   * Fill the livery configurator (garage)
+   * Every option is a button with data-action="setLivery" data-key data-value.
+   * @param {Object} options - { paints, wheels, stripeColors } option lists
+   * @param {Object} livery - Current livery (LiveryManager.get())
+   */
+  setLivery(options, livery) {
+    const option = (...args) => optionButton('setLivery', ...args);
+    const paintName = (p) => translated(`garage.paints.${p.id}`, p.name);
+
+    const paint = options.paints.find(p => p.id === livery.paint);
+    if (this.livery.paintName) this.livery.paintName.textContent = paint ? paintName(paint) : '';
+
+    this.livery.paint?.replaceChildren(...options.paints.map(p =>
+      option('paint', p.id, paintName(p), p.id === livery.paint, p.color)));
+
+    this.livery.wheels?.replaceChildren(...options.wheels.map(w =>
+      option('wheels', w.id, translated(`garage.wheelFinishes.${w.id}`, w.name), w.id === livery.wheels)));
+
+    this.livery.stripes?.replaceChildren(
+      option('racingStripes', !livery.racingStripes, t('garage.racingStripes'), livery.racingStripes),
+      option('sideStripe', !livery.sideStripe, t('garage.sideStripe'), livery.sideStripe),
+      ...options.stripeColors.map(c =>
+        option('stripeColor', c.id, translated(`garage.stripeColors.${c.id}`, c.name), c.id === livery.stripeColor, c.color))
+    );
+  }
+
+  /**
+   * Update countdown display
+   * @param {string} text - "3", "2", "1" or the translated "GO"
+   */
+  setCountdown(text) {
+    if (this.countdownNumber) {
+      this.countdownNumber.textContent = text;
+    }
+  }
+
+  /**
+   * Show today's Daily Drive best on the title screen
+   * @param {number|null} best - Best score today, or null if not played yet
+   */
+  setDailyTarget(best) {
+    if (this.dailyTarget) {
+      this.dailyTarget.textContent = best === null
+        ? t('title.dailyTargetNone')
+        : t('title.dailyTarget', { score: best });
+    }
+  }
+
+  /**
+   * Show the player's car on the title screen
+   * @param {string} name - Vehicle name
+   * @param {string} powertrainLabel - e.g. "TURBO" or "EV" (translated)
+   */
+  setVehicle(name, powertrainLabel) {
+    if (this.titleVehicle) {
+      this.titleVehicle.textContent = `${name} · ${powertrainLabel}`;
+    }
+  }
+
+  /**
+   * Fill the garage with one card per roster vehicle
+   * Stat bars are relative to the best car in the roster.
+   * @param {Object[]} vehicles - VehicleRegistry entries
+   * @param {string} selectedId
+   */
+  setGarage(vehicles, selectedId) {
+    if (!this.garageList) return;
+
+    const bars = ['maxSpeed', 'acceleration', 'maxYawRate'].map(key => ({ label: t(`garage.stats.${key}`), key }));
+    const best = {};
+    bars.forEach(({ key }) => {
+      best[key] = Math.max(...vehicles.map(v => v.stats[key] ?? 0));
+    });
+
+    this.garageList.replaceChildren(...vehicles.map(vehicle => {
+      const card = document.createElement('button');
+      card.className = 'garage-card';
+      card.classList.toggle('selected', vehicle.id === selectedId);
+      card.dataset.action = 'selectVehicle';
+      card.dataset.vehicle = vehicle.id;
+
+      const name = document.createElement('div');
+      name.className = 'garage-name';
+      name.textContent = vehicle.name;
+
+      const tag = document.createElement('span');
+      tag.className = 'garage-tag';
+      tag.textContent = t(vehicle.powertrain === 'ev' ? 'powertrain.ev' : 'powertrain.ice');
+      name.appendChild(tag);
+
+      const description = document.createElement('div');
+      description.className = 'garage-description';
+      description.textContent = translated(`vehicles.${vehicle.id}`, vehicle.description);
+
+      card.append(name, description);
+
+      bars.forEach(({ label, key }) => {
+        const value = vehicle.stats[key];
+        if (typeof value !== 'number' || !best[key]) return;
+
+        const row = document.createElement('div');
+        row.className = 'garage-stat';
+        row.innerHTML = `<span></span><div class="garage-bar"><div></div></div>`;
+        row.firstChild.textContent = label;
+        row.querySelector('.garage-bar div').style.width = `${(value / best[key] * 100).toFixed(0)}%`;
+        card.appendChild(row);
+      });
+
+      return card;
+    }));
+  }
+
+  /**
+   * Show the share card preview on the results screen (SHARE is enabled with it)
+   * @param {Blob|null} blob - Card image, or null while it is being made
+   */
+  setShareCard(blob) {
+    if (this.cardUrl) {
+      URL.revokeObjectURL(this.cardUrl);
+      this.cardUrl = null;
+    }
+    if (blob) this.cardUrl = URL.createObjectURL(blob);
+
+    if (this.results.card) {
+      this.results.card.style.display = blob ? '' : 'none';
+      if (blob) this.results.card.src = this.cardUrl;
+    }
+    if (this.results.share) this.results.share.disabled = !blob;
+  }
+
+  /**
+   * Fill in the results screen
+   * @param {Object} stats - { score, distance (m), time (s), topSpeed (km/h), bestCombo, nearMisses, seed }
+   *   plus dailyBest and isNewBest for Daily Drive runs
+   */
+  setResults(stats) {
+    if (this.results.score) this.results.score.textContent = i18n.formatNumber(stats.score);
+    if (this.results.bestCombo) this.results.bestCombo.textContent = `x${i18n.formatNumber(stats.bestCombo)}`;
+    if (this.results.nearMisses) this.results.nearMisses.textContent = t('results.nearMissCount', { count: stats.nearMisses });
+    if (this.results.distance) this.results.distance.textContent = i18n.formatDistance(stats.distance, { long: false });
+    if (this.results.time) this.results.time.textContent = i18n.formatSeconds(stats.time);
+    if (this.results.topSpeed) this.results.topSpeed.textContent = i18n.formatSpeed(stats.topSpeed);
+    if (this.results.seed) this.results.seed.textContent = stats.seed ?? '-';
+
+    // Daily best row only for Daily Drive runs
+    const isDaily = typeof stats.dailyBest === 'number';
+    if (this.results.dailyRow) this.results.dailyRow.style.display = isDaily ? '' : 'none';
+    if (isDaily && this.results.dailyBest) {
+      this.results.dailyBest.textContent = i18n.formatNumber(stats.dailyBest) + (stats.isNewBest ? ` ${t('results.newBest')}` : '');
+    }
+  }
+
+  /**
+   * Show or hide the results screen's lead form button
+   * @param {string|null} label - Button text (I18n key or literal), or null to hide it
+   */
+  setLeadCta(label) {
+    if (!this.results.lead) return;
+    this.results.lead.style.display = label ? '' : 'none';
+    this.results.lead.textContent = label ? t(label) : '';
+  }
+
+  /**
+   * Build the lead form from the campaign config (values already entered are kept,
+   * so it can be rebuilt in another language)
+   * @param {Object} config - Campaign "lead" section ({ copy, fields, consents })
+   */
+  setLeadForm(config) {
+    const copy = config.copy ?? {};
+    const values = this.getLeadValues();
+    this.leadCopy = copy;
+    if (this.lead.title) this.lead.title.textContent = t(copy.title ?? '');
+    if (this.lead.intro) this.lead.intro.textContent = t(copy.intro ?? '');
+    if (this.lead.submit) this.lead.submit.textContent = t(copy.submit ?? 'lead.submit');
+
+    this.lead.fields?.replaceChildren(...(config.fields ?? []).map(field => {
+      if (field.type === 'checkbox') return this.createLeadCheckbox(field);
+
+      const label = document.createElement('label');
+      label.className = 'lead-field';
+      const caption = document.createElement('span');
+      caption.textContent = field.required ? `${t(field.label)} *` : t(field.label);
+
+      let input;
+      if (field.type === 'select') {
+        input = document.createElement('select');
+        const placeholder = new Option(t(copy.choose ?? 'lead.choose'), '');
+        input.add(placeholder);
+        (field.options ?? []).forEach(option => input.add(new Option(t(option.label), option.value)));
+      } else {
+        input = document.createElement('input');
+        input.type = field.type === 'email' ? 'email' : 'text';
+        if (field.maxLength) input.maxLength = field.maxLength;
+        if (field.autocomplete) input.autocomplete = field.autocomplete;
+      }
+      input.name = field.name;
+      input.required = Boolean(field.required);
+
+      label.append(caption, input, this.createLeadError(field.name));
+      return label;
+    }));
+
+    this.lead.consents?.replaceChildren(...(config.consents ?? []).map(consent => this.createLeadCheckbox(consent)));
+    this.setLeadValues(values);
+    this.resetLeadForm();
+  }
+
+  createLeadCheckbox(field) {
+    const wrapper = document.createElement('div');
+    const label = document.createElement('label');
+    label.className = 'lead-check';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = field.name;
+    input.required = Boolean(field.required);
+    const caption = document.createElement('span');
+    caption.textContent = field.required ? `${t(field.label)} *` : t(field.label);
+    label.append(input, caption);
+    wrapper.append(label, this.createLeadError(field.name));
+    return wrapper;
+  }
+
+  createLeadError(name) {
+    const error = document.createElement('div');
+    error.className = 'lead-error';
+    error.dataset.errorFor = name;
+    return error;
+  }
+
+  /**
+   * Current form values keyed by field name (checkboxes as booleans)
+   */
+  getLeadValues() {
+    const values = {};
+    Array.from(this.lead.form?.elements ?? []).forEach(element => {
+      if (!element.name) return;
+      values[element.name] = element.type === 'checkbox' ? element.checked : element.value;
+    });
+    return values;
+  }
+
+  /**
+   * Put values back into the form (fields that no longer exist are skipped)
+   * @param {Object} values - From getLeadValues()
+   */
+  setLeadValues(values) {
+    Array.from(this.lead.form?.elements ?? []).forEach(element => {
+      if (!element.name || !(element.name in values)) return;
+      if (element.type === 'checkbox') {
+        element.checked = values[element.name] === true;
+      } else {
+        element.value = values[element.name];
+      }
+    });
+  }
+
+  /**
+   * Show validation messages next to their fields (focuses the first one)
+   * @param {Object} errors - Messages keyed by field name
+   */
+  setLeadErrors(errors) {
+    if (!this.lead.form) return;
+
+    this.lead.form.querySelectorAll('[data-error-for]').forEach(element => {
+      element.textContent = errors[element.dataset.errorFor] ?? '';
+    });
+
+    let first = null;
+    Array.from(this.lead.form.elements).forEach(element => {
+      if (!element.name) return;
+      const invalid = Boolean(errors[element.name]);
+      element.setAttribute('aria-invalid', String(invalid));
+      if (invalid && !first) first = element;
+    });
+    first?.focus();
+  }
+
+  /**
+   * Show the outcome of a submission
+   * @param {string} text - Message (campaign copy: I18n key or literal)
+   * @param {string|null} state - 'sending' (buttons disabled), 'done' (form hidden) or null
+   */
+  setLeadStatus(text, state = null) {
+    if (this.lead.status) this.lead.status.textContent = t(text ?? '');
+
+    const done = state === 'done';
+    [this.lead.fields, this.lead.consents, this.lead.submit].forEach(element => {
+      if (element) element.style.display = done ? 'none' : '';
+    });
+    if (this.lead.submit) this.lead.submit.disabled = state === 'sending';
+    if (this.lead.close) {
+      this.lead.close.disabled = state === 'sending';
+      this.lead.close.textContent = t(done ? (this.leadCopy.done ?? 'lead.done') : (this.leadCopy.close ?? 'lead.close'));
+    }
+  }
+
+  /**
+   * Clear messages (entered values are kept)
+   */
+  resetLeadForm() {
+    this.setLeadErrors({});
+    this.setLeadStatus('');
+    // Focused inputs swallow game keys (InputManager.isTextInput)
+    document.activeElement?.blur?.();
+  }
+
+  /**
+   * Consent banner and privacy link copy from the campaign config
+   * @param {Object} copy - { text, accept, decline, settings } (I18n keys or literals)
+   */
+  setConsentCopy(copy) {
+    if (copy.text && this.consent.text) this.consent.text.textContent = t(copy.text);
+    if (copy.accept && this.consent.accept) this.consent.accept.textContent = t(copy.accept);
+    if (copy.decline && this.consent.decline) this.consent.decline.textContent = t(copy.decline);
+    if (copy.settings && this.consent.settings) this.consent.settings.textContent = t(copy.settings);
+  }
+
+  showConsentBanner(visible) {
+    if (this.consent.banner) this.consent.banner.style.display = visible ? '' : 'none';
+  }
+
+  /**
+   * Fill the title screen language picker (hidden with only one language)
+   * @param {Object[]} languages - I18n.getLanguages() entries ({ code, name })
+   * @param {string} current - Selected language code
+   */
+  setLanguages(languages, current) {
+    if (!this.languageSelect) return;
+    this.languageSelect.replaceChildren(...languages.map(({ code, name }) => new Option(name, code, false, code === current)));
+    this.languageSelect.style.display = languages.length > 1 ? '' : 'none';
+  }
+}
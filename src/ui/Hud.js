@@ -0,0 +1,208 @@
+import { i18n, t } from '../core/I18n.js';
+
+/**
+ * Hud - In-game speedometer, tachometer, distance, score, combo and boost gauge
+ *
+ * Markup and responsive layout live in index.html (#hud). Score values
+ * arrive through ScoreSystem events; speed, engine and boost values are
+ * pushed each frame from the game loop so the gauges can ease towards them.
+ * Text and numbers follow the I18n language and units (speed arrives in
+ * km/h and is shown in km/h or mph); refresh() redraws after a switch.
+ */
+
+// Speedometer arc covers 270 degrees = 75% of the circle
+const GAUGE_ARC = 75;
+
+export class Hud {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSpeedKmh - Speed shown as a full gauge
+   */
+  constructor(options = {}) {
+    this.maxSpeedKmh = options.maxSpeedKmh ?? 160;
+
+    this.root = document.getElementById('hud');
+    this.elements = {
+      speed: document.getElementById('hud-speed'),
+      speedUnit: document.getElementById('hud-speed-unit'),
+      speedFill: document.getElementById('hud-speedo-fill'),
+      boostFill: document.getElementById('hud-boost-fill'),
+      tach: document.getElementById('hud-tach'),
+      tachFill: document.getElementById('hud-tach-fill'),
+      gear: document.getElementById('hud-gear'),
+      battery: document.getElementById('hud-battery'),
+      batteryFill: document.getElementById('hud-battery-fill'),
+      distance: document.getElementById('hud-distance'),
+      score: document.getElementById('hud-score'),
+      multiplier: document.getElementById('hud-multiplier'),
+      target: document.getElementById('hud-target'),
+      combo: document.getElementById('hud-combo'),
+      popups: document.getElementById('hud-popups')
+    };
+
+    // Displayed values ease towards targets
+    this.displaySpeed = 0;
+    this.displayBoost = 0;
+    this.displayRpm = 0;
+
+    // Last values shown, redrawn by refresh()
+    this.scoreState = { score: 0, distance: 0 };
+    this.speedMultiplier = 1;
+    this.comboMultiplier = 1;
+    this.target = null;
+
+    this.visible = false;
+    this.hiddenByUser = false;
+  }
+
+  /**
+   * Subscribe to score events
+   * @param {ScoreSystem} scoreSystem
+   */
+  attachScore(scoreSystem) {
+    scoreSystem.on('update', (state) => {
+      this.scoreState = state;
+      this.setText('score', i18n.formatNumber(state.score));
+      this.setText('distance', i18n.formatDistance(state.distance));
+    });
+
+    scoreSystem.on('multiplier', ({ speedMultiplier }) => {
+      const el = this.elements.multiplier;
+      if (!el) return;
+      this.speedMultiplier = speedMultiplier;
+      el.textContent = t('hud.speedMultiplier', { multiplier: speedMultiplier });
+      el.style.visibility = speedMultiplier > 1 ? 'visible' : 'hidden';
+    });
+
+    scoreSystem.on('nearMiss', ({ points, combo, comboMultiplier }) => {
+      this.popup(t('hud.nearMiss', { points }));
+      if (combo > 1) {
+        this.comboMultiplier = comboMultiplier;
+        this.setText('combo', t('hud.combo', { multiplier: comboMultiplier }));
+        this.elements.combo.style.visibility = 'visible';
+      }
+    });
+
+    scoreSystem.on('comboBreak', () => {
+      if (this.elements.combo) this.elements.combo.style.visibility = 'hidden';
+    });
+
+    scoreSystem.on('collision', ({ penalty }) => {
+      this.popup(penalty > 0 ? t('hud.crashPenalty', { penalty }) : t('hud.crash'));
+    });
+
+    scoreSystem.on('reset', () => {
+      this.scoreState = { score: 0, distance: 0 };
+      this.setText('score', i18n.formatNumber(0));
+      this.setText('distance', i18n.formatDistance(0));
+      if (this.elements.multiplier) this.elements.multiplier.style.visibility = 'hidden';
+      if (this.elements.combo) this.elements.combo.style.visibility = 'hidden';
+    });
+  }
+
+  /**
+   * Animate gauges (call every frame while visible)
+   * @param {number} deltaTime
+   * @param {Object} values - { speedKmh, boost (0-1), boostReady, boostActive }
+   *   plus Car.getEngineState() values (rpmRatio, gear, mode, limiter, eShift, battery, regen)
+   */
+  update(deltaTime, values) {
+    if (!this.visible) return;
+
+    // Exponential ease, frame-rate independent
+    const ease = 1 - Math.exp(-deltaTime * 10);
+    this.displaySpeed += (values.speedKmh - this.displaySpeed) * ease;
+    this.displayBoost += ((values.boost ?? 0) - this.displayBoost) * ease;
+
+    this.setText('speed', i18n.formatNumber(Math.round(i18n.convertSpeed(this.displaySpeed))));
+
+    const speedRatio = Math.min(this.displaySpeed / this.maxSpeedKmh, 1);
+    this.elements.speedFill?.setAttribute('stroke-dasharray', `${(speedRatio * GAUGE_ARC).toFixed(1)} 100`);
+
+    const boostRatio = Math.min(Math.max(this.displayBoost, 0), 1);
+    this.elements.boostFill?.setAttribute('stroke-dasharray', `${(boostRatio * GAUGE_ARC).toFixed(1)} 100`);
+    this.elements.boostFill?.classList.toggle('ready', Boolean(values.boostReady));
+    this.elements.boostFill?.classList.toggle('active', Boolean(values.boostActive));
+
+    // Tachometer reacts faster than the speedo (shifts should snap)
+    if (typeof values.rpmRatio === 'number') {
+      this.displayRpm += (values.rpmRatio - this.displayRpm) * (1 - Math.exp(-deltaTime * 25));
+      if (this.elements.tachFill) this.elements.tachFill.style.width = `${(this.displayRpm * 100).toFixed(1)}%`;
+      this.elements.tach?.classList.toggle('limiter', Boolean(values.limiter));
+      // Single-speed EV (e-shift off) just shows D
+      this.setText('gear', values.eShift === false ? 'D' : `${values.mode === 'manual' ? 'M' : 'A'}${values.gear}`);
+    }
+
+    // Battery bar only for powertrains with one
+    const hasBattery = typeof values.battery === 'number';
+    if (this.elements.battery) this.elements.battery.style.display = hasBattery ? 'block' : 'none';
+    if (hasBattery && this.elements.batteryFill) {
+      this.elements.batteryFill.style.width = `${(values.battery * 100).toFixed(1)}%`;
+      this.elements.battery.classList.toggle('low', values.battery < 0.15);
+      this.elements.battery.classList.toggle('regen', Boolean(values.regen));
+    }
+  }
+
+  /**
+   * Score to beat (Daily Drive), or null to hide
+   * @param {number|null} score
+   */
+  setTarget(score) {
+    const el = this.elements.target;
+    if (!el) return;
+    this.target = score;
+    el.style.display = score === null ? 'none' : 'block';
+    if (score !== null) el.textContent = t('hud.target', { score });
+  }
+
+  /**
+   * Redraw text after a language or units change
+   */
+  refresh() {
+    this.setText('speedUnit', i18n.speedUnit().toLocaleUpperCase(i18n.getLanguage()));
+    this.setText('score', i18n.formatNumber(this.scoreState.score));
+    this.setText('distance', i18n.formatDistance(this.scoreState.distance));
+    this.setText('multiplier', t('hud.speedMultiplier', { multiplier: this.speedMultiplier }));
+    this.setText('combo', t('hud.combo', { multiplier: this.comboMultiplier }));
+    this.setTarget(this.target);
+  }
+
+  /**
+   * Floating text that rises and fades out
+   */
+  popup(text) {
+    if (!this.elements.popups || !this.visible) return;
+
+    const el = document.createElement('div');
+    el.className = 'hud-popup';
+    el.textContent = text;
+    el.addEventListener('animationend', () => el.remove());
+    this.elements.popups.appendChild(el);
+  }
+
+  setText(key, text) {
+    if (this.elements[key]) {
+      this.elements[key].textContent = text;
+    }
+  }
+
+  /**
+   * Show or hide the HUD for the current game state
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.applyVisibility();
+  }
+
+  /**
+   * User UI toggle (H) - hides the HUD regardless of game state
+   */
+  setHiddenByUser(hidden) {
+    this.hiddenByUser = hidden;
+    this.applyVisibility();
+  }
+
+  applyVisibility() {
+    this.root?.classList.toggle('active', this.visible && !this.hiddenByUser);
+  }
+}
@@ -0,0 +1,52 @@
+import { hexToRgb } from '../utils/Branding.js';
+import { t } from '../core/I18n.js';
+
+/**
+ * Theme - Apply the campaign brand to the page
+ *
+ * index.html styles read CSS custom properties set here:
+ *   --brand-primary, --brand-primary-rgb (for rgba()), --brand-background,
+ *   --font-display, --font-body
+ * Logos are elements with the brand-logo class (title and loading screens);
+ * their markup is the default wordmark, replaced with the brand's.
+ * Call again after a language switch to translate the legal text.
+ */
+
+/**
+ * Set the CSS variables, logos, legal text and document title
+ * @param {Object} brand - Branding.getBrand()
+ */
+export function applyBrandTheme(brand) {
+  const root = document.documentElement.style;
+  root.setProperty('--brand-primary', brand.palette.primary);
+  root.setProperty('--brand-primary-rgb', hexToRgb(brand.palette.primary));
+  root.setProperty('--brand-background', brand.palette.background);
+  root.setProperty('--font-display', brand.fonts.display);
+  root.setProperty('--font-body', brand.fonts.body);
+
+  if (brand.fonts.stylesheet && !document.getElementById('brand-fonts')) {
+    const link = document.createElement('link');
+    link.id = 'brand-fonts';
+    link.rel = 'stylesheet';
+    link.href = brand.fonts.stylesheet;
+    document.head.appendChild(link);
+  }
+
+  document.querySelectorAll('.brand-logo').forEach(element => {
+    if (brand.logo.image) {
+      const image = document.createElement('img');
+      image.src = brand.logo.image;
+      image.alt = brand.name;
+      element.replaceChildren(image);
+    } else {
+      const accent = document.createElement('span');
+      accent.textContent = brand.logo.accent;
+      element.replaceChildren(brand.logo.accent ? `${brand.logo.text} ` : brand.logo.text, accent);
+    }
+  });
+
+  const legal = document.getElementById('legal-text');
+  if (legal) legal.textContent = t(brand.legal);
+
+  if (brand.title) document.title = brand.title;
+}
@@ -0,0 +1,110 @@
+/**
+ * Branding - The campaign's brand (logo, palette, fonts, car defaults, copy)
+ *
+ * Defaults are Hyundai N; the campaign config's "brand" section replaces
+ * any of them at boot (setBrand), so regional agencies can reskin the game
+ * without code changes. Everything branded reads getBrand() when it draws:
+ * generated images (PhotoMode, ShareCard), materials (MaterialFactory) and
+ * the page (Theme.applyBrandTheme).
+ */
+
+export const DEFAULT_BRAND = {
+  name: 'HYUNDAI N',
+  title: 'Hyundai N Racing',            // Document title
+  logo: {
+    text: 'HYUNDAI',                    // Wordmark, then the accent in the primary colour
+    accent: 'N',
+    image: null                         // Image URL, replaces the wordmark when set
+  },
+  palette: {
+    primary: '#0066cc',
+    background: '#0a0a0a'
+  },
+  fonts: {
+    display: "'Arial Black', sans-serif",
+    body: 'Arial, sans-serif',
+    stylesheet: null                    // Web font CSS URL (e.g. a font service)
+  },
+  car: {
+    paint: '#0033aa',                   // Placeholder body paint
+    livery: {}                          // LiveryManager defaults for new players
+  },
+  copy: {
+    hashtag: '#HyundaiN',
+    shareText: 'share.text',            // I18n key or literal ({score}, {distance}, {name}, {hashtag})
+    filePrefix: 'hyundai-n'             // Downloaded photo and card names
+  },
+  legal: ''                             // Small print on the title screen (I18n key or literal)
+};
+
+let brand = DEFAULT_BRAND;
+let logoImage = null;
+
+/**
+ * Replace the brand (missing sections and keys keep the defaults)
+ * @param {Object} config - Campaign "brand" section
+ */
+export function setBrand(config = {}) {
+  brand = { ...DEFAULT_BRAND, ...config };
+  ['logo', 'palette', 'fonts', 'car', 'copy'].forEach(section => {
+    brand[section] = { ...DEFAULT_BRAND[section], ...config[section] };
+  });
+
+  // Canvas drawing needs the logo decoded up front
+  logoImage = null;
+  if (brand.logo.image) {
+    const image = new Image();
+    image.onload = () => { logoImage = image; };
+    image.onerror = () => console.warn(`Brand logo failed to load (${brand.logo.image}), using the wordmark`);
+    image.src = brand.logo.image;
+  }
+}
+
+export function getBrand() {
+  return brand;
+}
+
+/**
+ * "r, g, b" for a #rrggbb colour (CSS rgba() and canvas gradients)
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+}
+
+/**
+ * Draw the logo: the image if the brand has one, otherwise the wordmark
+ * with its accent in the primary colour
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x - Right edge, or left edge with align 'left'
+ * @param {number} y - Baseline
+ * @param {number} size - Font size (logo image height) in pixels
+ * @param {string} align - 'right' or 'left'
+ */
+export function drawWordmark(ctx, x, y, size, align = 'right') {
+  ctx.save();
+  ctx.shadowColor = 'rgba(0,0,0,0.5)';
+  ctx.shadowBlur = size * 0.3;
+
+  if (logoImage) {
+    const width = logoImage.width * (size / logoImage.height);
+    ctx.drawImage(logoImage, align === 'right' ? x - width : x, y - size, width, size);
+    ctx.restore();
+    return;
+  }
+
+  const { text, accent } = brand.logo;
+  ctx.font = `900 ${size}px ${brand.fonts.display}`;
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+
+  const brandText = accent ? `${text} ` : text;
+  const brandWidth = ctx.measureText(brandText).width;
+  const left = align === 'right' ? x - brandWidth - ctx.measureText(accent).width : x;
+
+  ctx.fillStyle = '#fff';
+  ctx.fillText(brandText, left, y);
+  ctx.fillStyle = brand.palette.primary;
+  ctx.fillText(accent, left + brandWidth, y);
+  ctx.restore();
+}
@@ -0,0 +1,41 @@
+/**
+ * EventEmitter - Minimal publish/subscribe base class
+ *
+ * Game systems extend this so HUD, audio and results screens can react
+ * to their events without the systems knowing about them.
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} callback - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Unsubscribe from an event
+   */
+  off(event, callback) {
+    this.listeners.get(event)?.delete(callback);
+  }
+
+  /**
+   * Notify all subscribers of an event
+   * @param {string} event - Event name
+   * @param {*} payload - Passed to each callback
+   */
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach(callback => callback(payload));
+  }
+}
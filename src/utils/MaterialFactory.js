@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getBrand } from './Branding.js';
 
 /**
  * MaterialFactory - Creates optimized materials for the low-poly baked aesthetic
@@ -8,9 +9,11 @@ import * as THREE from 'three';
  * - ao_map: Baked Ambient Occlusion on UV channel 1 (aoMapIntensity = 1.0)
  * - No real-time shadows on city meshes
  * - Lighting baked in Blender, matched in Three.js
+ *
+ * Branded materials (car paint) take their colours from the campaign brand.
  */
 export class MaterialFactory {
-  constructor(assetLoader) {
+  constructor(assetLoader = null) {
     this.assetLoader = assetLoader;
     this.materialCache = new Map();
   }
@@ -94,6 +97,21 @@ export class MaterialFactory {
     });
   }
 
+  /**
+   * Create a car body paint in the brand's default colour
+   * Named "Body_Paint" so LiveryManager recognises it as paint.
+   * @param {Object} options - MeshStandardMaterial overrides (color, metalness, roughness, ...)
+   */
+  createPaintMaterial(options = {}) {
+    return new THREE.MeshStandardMaterial({
+      name: 'Body_Paint',
+      color: getBrand().car.paint,
+      roughness: 0.4,
+      metalness: 0.6,
+      ...options
+    });
+  }
+
   /**
    * Create a glass/transparent material
    */
@@ -0,0 +1,110 @@
+/**
+ * Random - Seedable pseudo-random number generator (mulberry32)
+ *
+ * Shared by LowPolyViewer.loadRoadTemplates() and the main.js generators.
+ * Generators take an instance instead of calling Math.random() so a seed
+ * reproduces the exact same road and city.
+ */
+export class Random {
+  /**
+   * @param {number|string} seed - Number, or any string (hashed)
+   */
+  constructor(seed = Random.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number|string} seed
+   */
+  setSeed(seed) {
+    this.seed = Random.parseSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Next value in [0, 1) - drop-in for Math.random()
+   */
+  next() {
+    this.state |= 0;
+    this.state = this.state + 0x6D2B79F5 | 0;
+    let t = Math.imul(this.state ^ this.state >>> 15, 1 | this.state);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random array element
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  /**
+   * True with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Independent generator derived from this seed
+   * (e.g. traffic, which consumes numbers at a frame-rate dependent pace)
+   * @param {string} label - Stream name
+   */
+  fork(label) {
+    return new Random(`${this.seed}:${label}`);
+  }
+
+  /**
+   * Normalise a seed to an unsigned 32-bit integer
+   * Numeric strings ("?seed=1234") are used as-is, other strings are hashed
+   * @param {number|string} seed
+   */
+  static parseSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    // FNV-1a string hash
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Fresh seed for unseeded runs
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
@@ -1,8 +1,72 @@
 import { defineConfig } from 'vite';
 
+/**
+ * Local stand-ins for the campaign endpoints in dev and preview:
+ * - POST /api/leads:  lead capture form (LeadCapture 'fetch' transport)
+ * - POST /api/events: analytics batches (Analytics 'beacon' sink)
+ * Requests are logged to the terminal and kept in memory only; a real
+ * deployment points campaign.json's endpoints at the CRM and collector.
+ */
+function mockCampaignApi() {
+  const leads = [];
+  let eventCount = 0;
+
+  const routes = {
+    '/api/leads': (lead, reply) => {
+      if (!lead?.fields?.email) return reply(422, { error: 'Missing email' });
+      leads.push(lead);
+      console.log(`[mock-leads] #${leads.length} lead ${lead.id} (${lead.market ?? 'default'})`);
+      reply(201, { id: lead.id, received: leads.length });
+    },
+    '/api/events': (batch, reply) => {
+      if (!Array.isArray(batch?.events)) return reply(422, { error: 'Missing events' });
+      eventCount += batch.events.length;
+      console.log(`[mock-events] ${batch.events.map(event => event.name).join(', ')} (${eventCount} total)`);
+      reply(204);
+    }
+  };
+
+  const handler = (req, res, next) => {
+    const route = routes[req.url];
+    if (!route) return next();
+
+    const reply = (status, body) => {
+      res.statusCode = status;
+      if (body === undefined) return res.end();
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST') return reply(405, { error: 'Method not allowed' });
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let data;
+      try {
+        data = JSON.parse(body);
+      } catch (e) {
+        return reply(400, { error: 'Invalid JSON' });
+      }
+      route(data, reply);
+    });
+  };
+
+  return {
+    name: 'mock-campaign-api',
+    configureServer(server) {
+      server.middlewares.use(handler);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handler);
+    }
+  };
+}
+
 export default defineConfig({
   root: './',
   publicDir: 'assets',
+  plugins: [mockCampaignApi()],
   server: {
     port: 3001,
     open: true,